@@ -1,34 +1,295 @@
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { isRole } from "./permissions.js";
+import { generateTotpSecret, verifyTotp, base32Encode } from "./totp.js";
+import { parseFlatId, describeFlatIdSchema, blockOf } from "./flat_id.js";
 
-export function generateHumanCode(len = 8) {
-  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
-  const digits = "23456789";
-  const a = Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join("");
-  const b = Array.from({ length: 4 }, () => digits[Math.floor(Math.random() * digits.length)]).join("");
-  return `${a}-${b}`.slice(0, len + 1);
+// ---- setup code generation ----
+// Uppercase letters + digits minus the look-alikes (I, O, 0, 1): 32 symbols = 5 bits each.
+export const SETUP_CODE_DEFAULTS = {
+  length: Number(process.env.SETUP_CODE_LENGTH || 8),
+  alphabet: process.env.SETUP_CODE_ALPHABET || "ABCDEFGHJKLMNPQRSTUVWXYZ23456789",
+  groupSize: Number(process.env.SETUP_CODE_GROUP || 4),
+  separator: "-"
+};
+
+function setupCodeOptions(opts = {}) {
+  const o = { ...SETUP_CODE_DEFAULTS, ...opts };
+  const alphabet = [...new Set(String(o.alphabet))].join("");
+
+  if (alphabet.length < 2) throw new Error("SETUP_CODE_ALPHABET needs at least 2 distinct characters");
+  if (!Number.isInteger(o.length) || o.length < 4 || o.length > 64) throw new Error("SETUP_CODE_LENGTH must be 4..64");
+  if (!Number.isInteger(o.groupSize) || o.groupSize < 0) throw new Error("SETUP_CODE_GROUP must be >= 0");
+  if (alphabet.includes(o.separator)) throw new Error("separator must not be part of the alphabet");
+
+  return { ...o, alphabet };
+}
+
+export function setupCodeEntropyBits(opts = {}) {
+  const { length, alphabet } = setupCodeOptions(opts);
+  return Math.round(length * Math.log2(alphabet.length) * 10) / 10;
+}
+
+/**
+ * Human-friendly one-time code from the OS CSPRNG. crypto.randomInt is uniform
+ * (no modulo bias); groupSize 0 disables the separator.
+ */
+export function generateHumanCode(opts = {}) {
+  const { length, alphabet, groupSize, separator } = setupCodeOptions(opts);
+
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    if (groupSize && i > 0 && i % groupSize === 0) out += separator;
+    out += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return out;
+}
+
+// ---- list filters ----
+// Shared by the list endpoints and the exports so both always agree on what a filter means.
+// Each builder appends its values to params and returns conditions that reference them by position.
+
+function whereSql(where) {
+  return where.length ? `WHERE ${where.join(" AND ")}` : "";
+}
+
+// Correlated lookups for the conflict flags below; they read the outer flat_requests row.
+const SAME_FLAT_PENDING = `SELECT 1 FROM flat_requests d
+  WHERE d.flat_id = flat_requests.flat_id AND d.status = 'PENDING' AND d.id <> flat_requests.id`;
+const FLAT_CONFLICTS = `SELECT 1 FROM flats f
+  WHERE f.flat_id = flat_requests.flat_id
+    AND (f.status = 'DISABLED' OR (f.status = 'ACTIVE' AND f.password_hash IS NOT NULL))`;
+
+/**
+ * Request filters:
+ *   status   PENDING | APPROVED | REJECTED
+ *   flagged  true: PENDING requests with a conflict (see requestConflicts)
+ *   block    block code (flat_requests.block_code)
+ */
+function requestFilterSql({ status = "", flagged = null, block = "" } = {}, params) {
+  const where = [];
+  if (status) {
+    params.push(status);
+    where.push(`status = $${params.length}`);
+  }
+  if (block) {
+    params.push(block);
+    where.push(`block_code = $${params.length}`);
+  }
+  if (flagged) {
+    where.push(`(status = 'PENDING' AND (EXISTS (${SAME_FLAT_PENDING}) OR EXISTS (${FLAT_CONFLICTS})))`);
+  }
+  return where;
+}
+
+/**
+ * Flat filters:
+ *   q               substring of flat_id
+ *   status          ACTIVE | DISABLED
+ *   banned          true: ban_until in the future; false: not currently banned
+ *   requires_revoke true/false on requires_admin_revoke
+ *   never_logged_in true: last_login_at is NULL
+ *   inactive_days   no login for N days (never-logged-in flats count once they are N days old)
+ *   min_strikes     strike_count >= N
+ *   block           block code (flats.block_code)
+ */
+function flatFilterSql({
+  q = "",
+  status = "",
+  banned = null,
+  requires_revoke = null,
+  never_logged_in = null,
+  inactive_days = null,
+  min_strikes = null,
+  block = ""
+} = {}, params) {
+  const where = [];
+  const now = Date.now();
+
+  if (block) {
+    params.push(block);
+    where.push(`block_code = $${params.length}`);
+  }
+  if (q) {
+    params.push(`%${q}%`);
+    where.push(`flat_id ILIKE $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    where.push(`status = $${params.length}`);
+  }
+  if (banned !== null) {
+    params.push(now);
+    where.push(banned
+      ? `ban_until > $${params.length}`
+      : `(ban_until IS NULL OR ban_until <= $${params.length})`);
+  }
+  if (requires_revoke !== null) {
+    where.push(`requires_admin_revoke = ${requires_revoke ? "TRUE" : "FALSE"}`);
+  }
+  if (never_logged_in !== null) {
+    where.push(`last_login_at IS ${never_logged_in ? "" : "NOT "}NULL`);
+  }
+  if (inactive_days !== null) {
+    params.push(now - inactive_days * 86_400_000);
+    const p = `$${params.length}`;
+    where.push(`(last_login_at < ${p} OR (last_login_at IS NULL AND created_at < ${p}))`);
+  }
+  if (min_strikes !== null) {
+    params.push(min_strikes);
+    where.push(`strike_count >= $${params.length}`);
+  }
+  return where;
+}
+
+function auditFilterSql({ action = "", flat_id = "", from = null, to = null } = {}, params) {
+  const where = [];
+  if (action) {
+    params.push(action);
+    where.push(`action = $${params.length}`);
+  }
+  // an array matches any of the IDs (a flat and the IDs it was renamed from)
+  if (Array.isArray(flat_id) ? flat_id.length : flat_id) {
+    params.push(flat_id);
+    where.push(Array.isArray(flat_id) ? `flat_id = ANY($${params.length})` : `flat_id = $${params.length}`);
+  }
+  if (from !== null) {
+    params.push(from);
+    where.push(`created_at >= $${params.length}`);
+  }
+  if (to !== null) {
+    params.push(to);
+    where.push(`created_at <= $${params.length}`);
+  }
+  return where;
+}
+
+// Sortable columns per list (whitelist: the value is interpolated into ORDER BY).
+// The trailing key keeps paging stable when the sort column has ties.
+export const REQUEST_SORTS = {
+  id: "id",
+  flat_id: "flat_id",
+  created_at: "created_at",
+  updated_at: "updated_at"
+};
+
+export const FLAT_SORTS = {
+  flat_id: "flat_id",
+  created_at: "created_at",
+  last_login_at: "last_login_at",
+  strike_count: "strike_count"
+};
+
+function orderSql(sorts, sort, dir, tiebreak) {
+  const col = sorts[sort] || sorts[Object.keys(sorts)[0]];
+  const d = String(dir).toLowerCase() === "asc" ? "ASC" : "DESC";
+  // NULLS LAST both ways so e.g. never-logged-in flats don't crowd the top of a DESC sort
+  return col === tiebreak
+    ? `ORDER BY ${col} ${d}`
+    : `ORDER BY ${col} ${d} NULLS LAST, ${tiebreak} ${d}`;
+}
+
+async function pagedList(query, { select, from, where, params, order, limit, offset }) {
+  const countRes = await query(`SELECT COUNT(*)::int AS n FROM ${from} ${whereSql(where)}`, params);
+
+  const pageParams = [...params, limit, offset];
+  const res = await query(
+    `SELECT ${select}
+     FROM ${from}
+     ${whereSql(where)}
+     ${order}
+     LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+    pageParams
+  );
+
+  return { rows: res.rows, total: Number(countRes.rows[0]?.n || 0) };
 }
 
 export async function adminCreateFlatRequest(query, { flat_id, name, note = "" }) {
   const now = Date.now();
   const res = await query(
-    `INSERT INTO flat_requests (flat_id, name, note, status, created_at, updated_at)
-     VALUES ($1,$2,$3,'PENDING',$4,$4)
+    `INSERT INTO flat_requests (flat_id, name, note, status, created_at, updated_at, block_code)
+     VALUES ($1,$2,$3,'PENDING',$4,$4,$5)
      RETURNING id`,
-    [flat_id, name, note, now]
+    [flat_id, name, note, now, blockOf(flat_id)]
   );
   return res.rows[0].id;
 }
 
-export async function adminListRequests(query, status = "PENDING", limit = 200) {
+// Extra columns feeding requestConflicts()
+const REQUEST_CONFLICT_COLUMNS = `
+  (SELECT COUNT(*)::int FROM flat_requests d WHERE d.flat_id = flat_requests.flat_id AND d.status = 'PENDING') AS pending_for_flat,
+  (SELECT f.status FROM flats f WHERE f.flat_id = flat_requests.flat_id) AS flat_status,
+  (SELECT f.password_hash IS NOT NULL FROM flats f WHERE f.flat_id = flat_requests.flat_id) AS flat_has_password`;
+
+/**
+ * Why a PENDING request needs a second look:
+ *   DUPLICATE_PENDING  another PENDING request exists for the same flat
+ *   FLAT_ACTIVE        the flat is already ACTIVE and has a password set
+ *   FLAT_DISABLED      the flat exists but an admin disabled it
+ */
+function requestConflicts(row) {
+  if (row.status !== "PENDING") return [];
+  const out = [];
+  if (row.pending_for_flat > 1) out.push("DUPLICATE_PENDING");
+  if (row.flat_status === "ACTIVE" && row.flat_has_password) out.push("FLAT_ACTIVE");
+  if (row.flat_status === "DISABLED") out.push("FLAT_DISABLED");
+  return out;
+}
+
+function withConflicts(row) {
+  const { flat_has_password, ...rest } = row;
+  return { ...rest, conflicts: requestConflicts(row) };
+}
+
+export async function adminListRequests(query, { sort = "created_at", dir = "desc", limit = 50, offset = 0, ...filters } = {}) {
+  const params = [];
+  const where = requestFilterSql(filters, params);
+  const { rows, total } = await pagedList(query, {
+    select: `id, flat_id, block_code, name, note, status, reject_category, reject_reason, created_at, updated_at, ${REQUEST_CONFLICT_COLUMNS}`,
+    from: "flat_requests",
+    where,
+    params,
+    order: orderSql(REQUEST_SORTS, sort, dir, "id"),
+    limit,
+    offset
+  });
+  return { rows: rows.map(withConflicts), total };
+}
+
+export async function adminGetRequestConflicts(query, requestId) {
   const res = await query(
-    `SELECT id, flat_id, name, note, status, created_at, updated_at
-     FROM flat_requests
-     WHERE status = $1
-     ORDER BY created_at DESC
-     LIMIT $2`,
-    [status, limit]
+    `SELECT id, status, ${REQUEST_CONFLICT_COLUMNS} FROM flat_requests WHERE id = $1`,
+    [requestId]
   );
-  return res.rows;
+  return res.rows[0] ? requestConflicts(res.rows[0]) : [];
+}
+
+// Request lifecycle. Approve/reject only move a PENDING request; a rejected
+// request has to be reopened explicitly before it can be decided again.
+// Repeating the action a request is already in is a no-op, not an error.
+export const REQUEST_TRANSITIONS = {
+  PENDING: ["APPROVED", "REJECTED"],
+  APPROVED: [],
+  REJECTED: ["PENDING"]
+};
+
+function checkTransition(from, to) {
+  if (from === to) return { ok: true, unchanged: true };
+  if ((REQUEST_TRANSITIONS[from] || []).includes(to)) return { ok: true, unchanged: false };
+  return { ok: false, error: "INVALID_TRANSITION", from, to };
+}
+
+// Moves a request from an expected status, guarding against a concurrent change in between.
+async function transitionRequest(query, requestId, from, to, setSql = "", setParams = []) {
+  const res = await query(
+    `UPDATE flat_requests
+     SET status=$3, updated_at=$4${setSql}
+     WHERE id=$1 AND status=$2
+     RETURNING id`,
+    [requestId, from, to, Date.now(), ...setParams]
+  );
+  return res.rows.length > 0;
 }
 
 export async function adminApproveRequest(query, requestId) {
@@ -38,51 +299,280 @@ export async function adminApproveRequest(query, requestId) {
   const req = reqRes.rows[0];
   if (!req) return { ok: false, error: "REQUEST_NOT_FOUND" };
 
-  // upsert flat
+  const check = checkTransition(req.status, "APPROVED");
+  if (!check.ok) return check;
+  if (check.unchanged) return { ok: true, flat_id: req.flat_id, unchanged: true };
+
+  if (!(await transitionRequest(query, requestId, req.status, "APPROVED"))) {
+    return { ok: false, error: "INVALID_TRANSITION", from: req.status, to: "APPROVED" };
+  }
+
+  // Create the flat if it is new; an existing flat keeps its status so a
+  // deliberately disabled flat is not switched back on by an approval.
   await query(
-    `INSERT INTO flats (flat_id, status, created_at, updated_at)
-     VALUES ($1,'ACTIVE',$2,$2)
-     ON CONFLICT (flat_id)
-     DO UPDATE SET status='ACTIVE', updated_at=$2`,
-    [req.flat_id, now]
+    `INSERT INTO flats (flat_id, status, created_at, updated_at, block_code)
+     VALUES ($1,'ACTIVE',$2,$2,$3)
+     ON CONFLICT (flat_id) DO NOTHING`,
+    [req.flat_id, now, blockOf(req.flat_id)]
+  );
+  const flatRes = await query(`SELECT status FROM flats WHERE flat_id = $1`, [req.flat_id]);
+  const flat_status = flatRes.rows[0]?.status || null;
+
+  return { ok: true, flat_id: req.flat_id, flat_status };
+}
+
+// Rejects the other PENDING requests for the same flat as duplicates of keepId and
+// appends their name/note to its note so nothing the resident wrote is lost.
+export async function adminMergeDuplicateRequests(query, keepId) {
+  const keepRes = await query(`SELECT id, flat_id, note, status FROM flat_requests WHERE id = $1`, [keepId]);
+  const keep = keepRes.rows[0];
+  if (!keep) return { ok: false, error: "REQUEST_NOT_FOUND" };
+  if (keep.status !== "PENDING") return { ok: false, error: "INVALID_TRANSITION", from: keep.status, to: "PENDING" };
+
+  const dupRes = await query(
+    `SELECT id, name, note, status FROM flat_requests
+     WHERE flat_id = $1 AND status = 'PENDING' AND id <> $2
+     ORDER BY id`,
+    [keep.flat_id, keepId]
+  );
+
+  const merged = [];
+  const notes = [];
+  for (const dup of dupRes.rows) {
+    const moved = await transitionRequest(
+      query, dup.id, "PENDING", "REJECTED",
+      ", reject_category=$5, reject_reason=$6", ["DUPLICATE", `Merged into #${keepId}`]
+    );
+    if (!moved) continue;
+    merged.push(dup.id);
+    notes.push(`[#${dup.id} ${dup.name}]${dup.note ? ` ${dup.note}` : ""}`);
+  }
+
+  if (notes.length) {
+    const note = [keep.note, ...notes].filter(Boolean).join("\n");
+    await query(`UPDATE flat_requests SET note=$2, updated_at=$3 WHERE id=$1`, [keepId, note, Date.now()]);
+  }
+
+  return { ok: true, flat_id: keep.flat_id, kept: Number(keepId), merged };
+}
+
+// For every flat with several PENDING requests, keeps the oldest and rejects the rest as DUPLICATE.
+export async function adminAutoRejectDuplicates(query, { dryRun = true } = {}) {
+  const res = await query(
+    `SELECT id, flat_id
+     FROM flat_requests r
+     WHERE status = 'PENDING'
+       AND (SELECT COUNT(*) FROM flat_requests d WHERE d.flat_id = r.flat_id AND d.status = 'PENDING') > 1
+     ORDER BY flat_id, created_at, id`
   );
 
-  await query(`UPDATE flat_requests SET status='APPROVED', updated_at=$2 WHERE id=$1`, [requestId, now]);
+  const byFlat = new Map();
+  for (const row of res.rows) {
+    if (!byFlat.has(row.flat_id)) byFlat.set(row.flat_id, []);
+    byFlat.get(row.flat_id).push(Number(row.id));
+  }
+
+  const groups = [];
+  for (const [flat_id, ids] of byFlat) {
+    const [kept, ...dups] = ids;
+    const rejected = [];
+    for (const id of dups) {
+      if (dryRun) { rejected.push(id); continue; }
+      const moved = await transitionRequest(
+        query, id, "PENDING", "REJECTED",
+        ", reject_category=$5, reject_reason=$6", ["DUPLICATE", `Duplicate of #${kept}`]
+      );
+      if (moved) rejected.push(id);
+    }
+    groups.push({ flat_id, kept, rejected });
+  }
+
+  return {
+    ok: true,
+    dry_run: dryRun,
+    groups,
+    rejected: groups.reduce((n, g) => n + g.rejected.length, 0)
+  };
+}
+
+// Approve + the flat's first setup code as one unit. Run it through withTransaction:
+// an error result (disabled flat, code collision) rolls back the approval as well.
+// Re-approving an already APPROVED request stays a no-op and issues no new code.
+export async function adminApproveAndIssueCode(query, requestId, { ttlMinutes = 60, created_by = null } = {}) {
+  const approved = await adminApproveRequest(query, requestId);
+  if (!approved.ok || approved.unchanged) return approved;
+  if (approved.flat_status === "DISABLED") return { ok: false, error: "FLAT_DISABLED", flat_id: approved.flat_id };
+
+  const issued = await adminGenerateSetupCode(query, { flat_id: approved.flat_id, ttlMinutes, created_by });
+  if (!issued.ok) return issued;
+
+  return {
+    ...approved,
+    setup_code: {
+      code: issued.code,
+      expires_at: issued.expires_at,
+      entropy_bits: issued.entropy_bits,
+      superseded: issued.superseded
+    }
+  };
+}
+
+// REJECTED -> PENDING; clears the rejection reason so the request is decided afresh.
+export async function adminReopenRequest(query, requestId) {
+  const reqRes = await query(`SELECT id, flat_id, status FROM flat_requests WHERE id = $1`, [requestId]);
+  const req = reqRes.rows[0];
+  if (!req) return { ok: false, error: "REQUEST_NOT_FOUND" };
+
+  const check = checkTransition(req.status, "PENDING");
+  if (!check.ok) return check;
+  if (check.unchanged) return { ok: true, flat_id: req.flat_id, unchanged: true };
+
+  const moved = await transitionRequest(query, requestId, req.status, "PENDING", ", reject_category=NULL, reject_reason=NULL");
+  if (!moved) return { ok: false, error: "INVALID_TRANSITION", from: req.status, to: "PENDING" };
+  return { ok: true, flat_id: req.flat_id };
+}
+
+// Codes that can still be redeemed: not used, superseded, revoked or expired.
+const ACTIVE_SETUP_CODE = `used_at IS NULL AND superseded_at IS NULL AND revoked_at IS NULL AND expires_at > $2`;
+
+export const REJECT_CATEGORIES = ["DUPLICATE", "NOT_RESIDENT", "WRONG_FLAT", "OTHER"];
+const REJECT_REASON_MAX = 500;
+
+export async function adminRejectRequest(query, requestId, { category, reason = "" } = {}) {
+  const cat = String(category || "").trim().toUpperCase();
+  const text = String(reason || "").trim();
+
+  if (!REJECT_CATEGORIES.includes(cat)) return { ok: false, error: "BAD_REJECT_CATEGORY" };
+  if (cat === "OTHER" && !text) return { ok: false, error: "REJECT_REASON_REQUIRED" };
+  if (text.length > REJECT_REASON_MAX) return { ok: false, error: "REJECT_REASON_TOO_LONG" };
+
+  const reqRes = await query(`SELECT id, flat_id, status FROM flat_requests WHERE id = $1`, [requestId]);
+  const req = reqRes.rows[0];
+  if (!req) return { ok: false, error: "REQUEST_NOT_FOUND" };
+
+  const check = checkTransition(req.status, "REJECTED");
+  if (!check.ok) return check;
+  if (check.unchanged) return { ok: true, flat_id: req.flat_id, unchanged: true };
+
+  const moved = await transitionRequest(
+    query, requestId, req.status, "REJECTED",
+    ", reject_category=$5, reject_reason=$6", [cat, text]
+  );
+  if (!moved) return { ok: false, error: "INVALID_TRANSITION", from: req.status, to: "REJECTED" };
   return { ok: true, flat_id: req.flat_id };
 }
 
-export async function adminGenerateSetupCode(query, { flat_id, ttlMinutes = 60 }) {
+// Run it through withTransaction: the flat row stays locked until COMMIT, so two codes
+// issued for the same flat at once cannot both find nothing to supersede.
+export async function adminGenerateSetupCode(query, { flat_id, ttlMinutes = 60, created_by = null }) {
   const now = Date.now();
 
-  const flatRes = await query(`SELECT flat_id FROM flats WHERE flat_id = $1`, [flat_id]);
+  const flatRes = await query(`SELECT flat_id FROM flats WHERE flat_id = $1 FOR UPDATE`, [flat_id]);
   if (!flatRes.rows[0]) return { ok: false, error: "FLAT_NOT_FOUND" };
 
-  const code = generateHumanCode(9);
+  // Re-roll on the (astronomically unlikely) chance we hit a code that is still live for this flat
+  const active = await query(
+    `SELECT code_hash FROM setup_codes WHERE flat_id = $1 AND ${ACTIVE_SETUP_CODE}`,
+    [flat_id, now]
+  );
+  let code = null;
+  for (let attempt = 0; attempt < 5 && !code; attempt++) {
+    const candidate = generateHumanCode();
+    let clash = false;
+    for (const row of active.rows) {
+      if (await bcrypt.compare(candidate, row.code_hash)) { clash = true; break; }
+    }
+    if (!clash) code = candidate;
+  }
+  if (!code) return { ok: false, error: "SETUP_CODE_COLLISION" };
+
+  // Only the newest code may be redeemed. expires_at is pulled in as well because the
+  // user service only checks used_at/expires_at when redeeming.
+  const superseded = await query(
+    `UPDATE setup_codes
+     SET superseded_at = $2, expires_at = LEAST(expires_at, $2)
+     WHERE flat_id = $1 AND ${ACTIVE_SETUP_CODE}
+     RETURNING id`,
+    [flat_id, now]
+  );
+
   const code_hash = await bcrypt.hash(code, 10);
   const expires_at = now + ttlMinutes * 60_000;
 
   await query(
-    `INSERT INTO setup_codes (flat_id, code_hash, expires_at, created_at)
-     VALUES ($1,$2,$3,$4)`,
-    [flat_id, code_hash, expires_at, now]
+    `INSERT INTO setup_codes (flat_id, code_hash, expires_at, created_at, created_by)
+     VALUES ($1,$2,$3,$4,$5)`,
+    [flat_id, code_hash, expires_at, now, created_by]
   );
 
   await query(`UPDATE flats SET pin_hash = NULL, updated_at = $2 WHERE flat_id = $1`, [flat_id, now]);
 
-  return { ok: true, flat_id, code, expires_at };
+  return {
+    ok: true,
+    flat_id,
+    code,
+    expires_at,
+    entropy_bits: setupCodeEntropyBits(),
+    superseded: superseded.rows.length
+  };
+}
+
+function setupCodeStatus(row, now) {
+  if (row.used_at) return "USED";
+  if (row.revoked_at) return "REVOKED";
+  if (row.superseded_at) return "SUPERSEDED";
+  if (Number(row.expires_at) <= now) return "EXPIRED";
+  return "ACTIVE";
 }
 
-export async function adminListFlats(query, q = "", limit = 200) {
-  const like = `%${q}%`;
+// Setup code history for a flat. Hashes never leave the DB.
+export async function adminListSetupCodes(query, flat_id, limit = 50) {
+  const now = Date.now();
   const res = await query(
-    `SELECT flat_id, status, strike_count, ban_until, requires_admin_revoke, created_at, last_login_at
-     FROM flats
-     WHERE flat_id ILIKE $1
-     ORDER BY flat_id ASC
+    `SELECT id, flat_id, expires_at, used_at, superseded_at, revoked_at, revoked_by, created_at, created_by
+     FROM setup_codes
+     WHERE flat_id = $1
+     ORDER BY created_at DESC, id DESC
      LIMIT $2`,
-    [like, limit]
+    [flat_id, limit]
   );
-  return res.rows;
+  return res.rows.map((r) => ({ ...r, status: setupCodeStatus(r, now) }));
+}
+
+export async function adminRevokeSetupCode(query, { flat_id, id, revoked_by = null }) {
+  const now = Date.now();
+
+  const cur = (await query(
+    `SELECT id, flat_id, expires_at, used_at, superseded_at, revoked_at FROM setup_codes WHERE id = $1 AND flat_id = $2`,
+    [id, flat_id]
+  )).rows[0];
+  if (!cur) return { ok: false, error: "SETUP_CODE_NOT_FOUND" };
+
+  const status = setupCodeStatus(cur, now);
+  if (status !== "ACTIVE") return { ok: false, error: "SETUP_CODE_NOT_ACTIVE", status };
+
+  // same expires_at trick as supersede, so the user service refuses it too
+  await query(
+    `UPDATE setup_codes
+     SET revoked_at = $2, revoked_by = $3, expires_at = LEAST(expires_at, $2)
+     WHERE id = $1`,
+    [id, now, revoked_by]
+  );
+  return { ok: true, id, flat_id };
+}
+
+export async function adminListFlats(query, { sort = "flat_id", dir = "asc", limit = 50, offset = 0, ...filters } = {}) {
+  const params = [];
+  const where = flatFilterSql(filters, params);
+  return pagedList(query, {
+    select: "flat_id, block_code, status, strike_count, ban_until, requires_admin_revoke, created_at, last_login_at",
+    from: "flats",
+    where,
+    params,
+    order: orderSql(FLAT_SORTS, sort, dir, "flat_id"),
+    limit,
+    offset
+  });
 }
 
 export async function adminRevokeBan(query, flat_id) {
@@ -114,3 +604,1463 @@ export async function adminDisableFlat(query, flat_id, disabled = true) {
 
   return { ok: true };
 }
+
+// ---- lookups used for audit before/after snapshots (no hashes) ----
+
+export async function adminGetFlat(query, flat_id) {
+  const res = await query(
+    `SELECT flat_id, status, strike_count, ban_until, requires_admin_revoke, created_at, updated_at, last_login_at
+     FROM flats
+     WHERE flat_id = $1`,
+    [flat_id]
+  );
+  return res.rows[0] || null;
+}
+
+// Everything the admin side knows about one flat, for the detail view / support calls
+const FLAT_HISTORY_ACTIONS = ["flat.revoke_ban", "flat.disable", "flat.enable"];
+
+export async function adminGetFlatDetail(query, flat_id) {
+  const flatRes = await query(
+    `SELECT flat_id, status, strike_count, ban_until, requires_admin_revoke, created_at, updated_at, last_login_at,
+            (password_hash IS NOT NULL) AS has_password, (pin_hash IS NOT NULL) AS has_pin
+     FROM flats
+     WHERE flat_id = $1`,
+    [flat_id]
+  );
+  // SQLite has no boolean type and returns the IS NOT NULL results as 0/1
+  const row = flatRes.rows[0];
+  const flat = row ? { ...row, has_password: Boolean(row.has_password), has_pin: Boolean(row.has_pin) } : null;
+
+  const reqRes = await query(
+    `SELECT id, flat_id, name, note, status, reject_category, reject_reason, created_at, updated_at
+     FROM flat_requests
+     WHERE flat_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [flat_id]
+  );
+
+  // a flat with neither a record nor a request is simply unknown
+  if (!flat && !reqRes.rows.length) return { ok: false, error: "FLAT_NOT_FOUND" };
+
+  // entries made before a rename keep the ID they were made under; follow flat.rename back to them
+  const audit = await adminListAudit(query, { flat_id: await adminFlatIdHistory(query, flat_id), limit: 200 });
+
+  return {
+    ok: true,
+    flat,
+    requests: reqRes.rows,
+    setup_codes: flat ? await adminListSetupCodes(query, flat_id) : [],
+    // strikes/bans are issued by the user service; the admin side only sees their current values
+    // plus its own interventions, which is what this history lists
+    ban_history: audit.filter((a) => FLAT_HISTORY_ACTIONS.includes(a.action)),
+    audit
+  };
+}
+
+export async function adminGetRequest(query, requestId) {
+  const res = await query(
+    `SELECT id, flat_id, name, note, status, reject_category, reject_reason, created_at, updated_at
+     FROM flat_requests
+     WHERE id = $1`,
+    [requestId]
+  );
+  return res.rows[0] || null;
+}
+
+// ---- audit log ----
+
+function toJson(v) {
+  return v === undefined || v === null ? null : JSON.stringify(v);
+}
+
+function fromJson(s) {
+  if (s === null || s === undefined) return null;
+  try { return JSON.parse(s); } catch { return s; }
+}
+
+export async function adminWriteAudit(query, { action, actor = null, ip = null, flat_id = null, before = null, after = null, meta = null }) {
+  const now = Date.now();
+  const res = await query(
+    `INSERT INTO admin_audit (action, actor, ip, flat_id, before_json, after_json, meta_json, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     RETURNING id`,
+    [action, actor, ip, flat_id, toJson(before), toJson(after), toJson(meta), now]
+  );
+  return res.rows[0].id;
+}
+
+function auditRowOut(r) {
+  return {
+    id: r.id,
+    action: r.action,
+    actor: r.actor,
+    ip: r.ip,
+    flat_id: r.flat_id,
+    before: fromJson(r.before_json),
+    after: fromJson(r.after_json),
+    meta: fromJson(r.meta_json),
+    created_at: r.created_at
+  };
+}
+
+export async function adminListAudit(query, { limit = 200, ...filters } = {}) {
+  const params = [];
+  const where = auditFilterSql(filters, params);
+
+  params.push(limit);
+  const res = await query(
+    `SELECT id, action, actor, ip, flat_id, before_json, after_json, meta_json, created_at
+     FROM admin_audit
+     ${whereSql(where)}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return res.rows.map(auditRowOut);
+}
+
+// ---- admin accounts ----
+
+const ADMIN_BCRYPT_ROUNDS = 12;
+export const ADMIN_MIN_PASSWORD_LEN = 10;
+
+export function normalizeAdminUsername(raw) {
+  return String(raw || "").trim().toLowerCase();
+}
+
+function validUsername(username) {
+  return /^[a-z0-9._-]{3,32}$/.test(username);
+}
+
+export async function adminCountAccounts(query, { activeOnly = false, role = null } = {}) {
+  const where = [];
+  const params = [];
+  if (activeOnly) where.push("is_active = TRUE");
+  if (role) {
+    params.push(role);
+    where.push(`role = $${params.length}`);
+  }
+
+  const res = await query(
+    `SELECT COUNT(*)::int AS n FROM admins ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`,
+    params
+  );
+  return Number(res.rows[0]?.n || 0);
+}
+
+// True when removing this account from the active superadmins would leave none
+async function isLastActiveSuperadmin(query, acct) {
+  if (!acct.is_active || acct.role !== "superadmin") return false;
+  return (await adminCountAccounts(query, { activeOnly: true, role: "superadmin" })) <= 1;
+}
+
+export async function adminGetAccount(query, id) {
+  const res = await query(
+    `SELECT id, username, role, is_active, totp_enabled, created_at, updated_at, last_login_at
+     FROM admins
+     WHERE id = $1`,
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+export async function adminListAccounts(query) {
+  const res = await query(
+    `SELECT id, username, role, is_active, totp_enabled, created_at, updated_at, last_login_at
+     FROM admins
+     ORDER BY username ASC`
+  );
+  return res.rows;
+}
+
+export async function adminCreateAccount(query, { username, password, role = "viewer" }) {
+  const uname = normalizeAdminUsername(username);
+  if (!validUsername(uname)) return { ok: false, error: "BAD_USERNAME" };
+  if (!isRole(role)) return { ok: false, error: "BAD_ROLE" };
+  if (typeof password !== "string" || password.length < ADMIN_MIN_PASSWORD_LEN) {
+    return { ok: false, error: "PASSWORD_TOO_SHORT" };
+  }
+
+  const exists = await query(`SELECT id FROM admins WHERE username = $1`, [uname]);
+  if (exists.rows[0]) return { ok: false, error: "USERNAME_TAKEN" };
+
+  const now = Date.now();
+  const password_hash = await bcrypt.hash(password, ADMIN_BCRYPT_ROUNDS);
+  const res = await query(
+    `INSERT INTO admins (username, password_hash, role, is_active, created_at, updated_at)
+     VALUES ($1,$2,$3,TRUE,$4,$4)
+     RETURNING id`,
+    [uname, password_hash, role, now]
+  );
+
+  return { ok: true, id: res.rows[0].id, username: uname, role };
+}
+
+// Seeds the first admin from env on an empty admins table. No-op once any admin exists.
+export async function adminSeedFirstAccount(query, { username, password }) {
+  if ((await adminCountAccounts(query)) > 0) return { ok: true, created: false };
+  if (!password) return { ok: false, error: "NO_ADMINS" };
+
+  const out = await adminCreateAccount(query, { username, password, role: "superadmin" });
+  if (!out.ok) return out;
+  return { ok: true, created: true, username: out.username };
+}
+
+export async function adminVerifyLogin(query, { username, password }) {
+  const uname = normalizeAdminUsername(username);
+  const res = await query(
+    `SELECT id, username, role, password_hash, is_active, totp_enabled FROM admins WHERE username = $1`,
+    [uname]
+  );
+  const row = res.rows[0];
+
+  // compare against a dummy hash on unknown users so timing does not leak which usernames exist
+  const hash = row?.password_hash || "$2b$12$RxHT6JKjULAf8XOooKm5Ju/2QEpkpL5V49NCWNXcd2cLWHppsKHkm";
+  const match = await bcrypt.compare(String(password || ""), hash);
+
+  if (!row || !match) return { ok: false, error: "INVALID_CREDENTIALS" };
+  if (!row.is_active) return { ok: false, error: "ADMIN_DISABLED" };
+
+  const admin = { id: row.id, username: row.username, role: row.role };
+
+  // password alone is not a login when 2FA is on; last_login_at moves once the second step passes
+  if (row.totp_enabled) return { ok: true, admin, needs2fa: true };
+
+  await adminMarkLoggedIn(query, row.id);
+  return { ok: true, admin };
+}
+
+export async function adminMarkLoggedIn(query, id) {
+  await query(`UPDATE admins SET last_login_at = $2 WHERE id = $1`, [id, Date.now()]);
+}
+
+export async function adminSetAccountActive(query, id, active) {
+  const acct = await adminGetAccount(query, id);
+  if (!acct) return { ok: false, error: "ADMIN_NOT_FOUND" };
+
+  if (!active && (await isLastActiveSuperadmin(query, acct))) {
+    return { ok: false, error: "LAST_SUPERADMIN" };
+  }
+
+  await query(
+    `UPDATE admins SET is_active = $2, updated_at = $3 WHERE id = $1`,
+    [id, Boolean(active), Date.now()]
+  );
+  return { ok: true };
+}
+
+export async function adminSetAccountRole(query, id, role) {
+  if (!isRole(role)) return { ok: false, error: "BAD_ROLE" };
+
+  const acct = await adminGetAccount(query, id);
+  if (!acct) return { ok: false, error: "ADMIN_NOT_FOUND" };
+
+  if (role !== "superadmin" && (await isLastActiveSuperadmin(query, acct))) {
+    return { ok: false, error: "LAST_SUPERADMIN" };
+  }
+
+  await query(
+    `UPDATE admins SET role = $2, updated_at = $3 WHERE id = $1`,
+    [id, role, Date.now()]
+  );
+  return { ok: true };
+}
+
+export async function adminCheckPassword(query, id, password) {
+  const res = await query(`SELECT password_hash FROM admins WHERE id = $1`, [id]);
+  const row = res.rows[0];
+  if (!row) return { ok: false, error: "ADMIN_NOT_FOUND" };
+
+  const match = await bcrypt.compare(String(password || ""), row.password_hash);
+  if (!match) return { ok: false, error: "INVALID_CREDENTIALS" };
+  return { ok: true };
+}
+
+export async function adminChangePassword(query, id, { current_password, new_password }) {
+  const check = await adminCheckPassword(query, id, current_password);
+  if (!check.ok) return check;
+
+  if (typeof new_password !== "string" || new_password.length < ADMIN_MIN_PASSWORD_LEN) {
+    return { ok: false, error: "PASSWORD_TOO_SHORT" };
+  }
+
+  const password_hash = await bcrypt.hash(new_password, ADMIN_BCRYPT_ROUNDS);
+  await query(
+    `UPDATE admins SET password_hash = $2, updated_at = $3 WHERE id = $1`,
+    [id, password_hash, Date.now()]
+  );
+  return { ok: true };
+}
+
+// ---- admin login throttling ----
+// Same idea as flats.strike_count/ban_until on the user side: strikes accumulate per key,
+// and past the free attempts each further failure doubles the lockout up to a cap.
+
+export const LOGIN_THROTTLE = {
+  freeAttempts: Number(process.env.ADMIN_LOGIN_FREE_ATTEMPTS || 5),
+  baseLockMs: Number(process.env.ADMIN_LOGIN_LOCK_BASE_SEC || 30) * 1000,
+  maxLockMs: Number(process.env.ADMIN_LOGIN_LOCK_MAX_SEC || 3600) * 1000,
+  // strikes older than this are forgotten on the next failure
+  resetAfterMs: 24 * 60 * 60 * 1000
+};
+
+// Throws on a LOGIN_THROTTLE value that is not a usable number: NaN would switch lockout off
+export function checkLoginThrottle(t = LOGIN_THROTTLE) {
+  if (!Number.isInteger(t.freeAttempts) || t.freeAttempts < 1) throw new Error("ADMIN_LOGIN_FREE_ATTEMPTS must be an integer >= 1");
+  if (!Number.isFinite(t.baseLockMs) || t.baseLockMs <= 0) throw new Error("ADMIN_LOGIN_LOCK_BASE_SEC must be a number > 0");
+  if (!Number.isFinite(t.maxLockMs) || t.maxLockMs < t.baseLockMs) {
+    throw new Error("ADMIN_LOGIN_LOCK_MAX_SEC must be a number >= ADMIN_LOGIN_LOCK_BASE_SEC");
+  }
+  return t;
+}
+
+export function loginThrottleKeys({ ip, username }) {
+  const keys = [{ key: `ip:${ip || "unknown"}`, kind: "ip" }];
+  const uname = normalizeAdminUsername(username);
+  if (uname) keys.push({ key: `user:${uname}`, kind: "user" });
+  return keys;
+}
+
+export function loginLockDuration(strikes) {
+  const over = strikes - LOGIN_THROTTLE.freeAttempts;
+  if (over < 0) return 0;
+  return Math.min(LOGIN_THROTTLE.baseLockMs * 2 ** over, LOGIN_THROTTLE.maxLockMs);
+}
+
+// Returns the longest active lock across the given keys (0 when none)
+export async function adminLoginLockedFor(query, keys) {
+  const now = Date.now();
+  const res = await query(
+    `SELECT MAX(locked_until) AS until
+     FROM admin_login_attempts
+     WHERE key = ANY($1) AND locked_until > $2`,
+    [keys.map((k) => k.key), now]
+  );
+  const until = Number(res.rows[0]?.until || 0);
+  return until > now ? until - now : 0;
+}
+
+/**
+ * Counts a login attempt against every key *before* the password or code is checked,
+ * so parallel guesses cannot all get past the gate ahead of the first recorded strike.
+ * The strike is taken with one upsert per key that refuses a key under an active lock,
+ * and the lock this attempt would earn by failing is set at once; a successful login
+ * deletes the rows again (adminLoginRecordSuccess). Run it through withTransaction:
+ * the row locks serialise concurrent attempts, and a refused key rolls back the others.
+ * Returns { ok: false, error: "LOGIN_LOCKED" } or { ok: true, lockedMs }.
+ */
+export async function adminLoginClaimAttempt(query, keys) {
+  const now = Date.now();
+  let lockedMs = 0;
+
+  for (const { key, kind } of keys) {
+    const res = await query(
+      `INSERT INTO admin_login_attempts (key, kind, strike_count, last_failed_at, locked_until, updated_at)
+       VALUES ($1,$2,1,$3,NULL,$3)
+       ON CONFLICT (key)
+       DO UPDATE SET
+         strike_count = CASE WHEN COALESCE(admin_login_attempts.last_failed_at, 0) < $4 THEN 1
+                             ELSE admin_login_attempts.strike_count + 1 END,
+         last_failed_at = $3,
+         updated_at = $3
+       WHERE admin_login_attempts.locked_until IS NULL OR admin_login_attempts.locked_until <= $3
+       RETURNING strike_count`,
+      [key, kind, now, now - LOGIN_THROTTLE.resetAfterMs]
+    );
+    if (!res.rows[0]) return { ok: false, error: "LOGIN_LOCKED" };
+
+    const lockMs = loginLockDuration(Number(res.rows[0].strike_count));
+    if (lockMs) {
+      await query(`UPDATE admin_login_attempts SET locked_until = $2 WHERE key = $1`, [key, now + lockMs]);
+      lockedMs = Math.max(lockedMs, lockMs);
+    }
+  }
+
+  return { ok: true, lockedMs };
+}
+
+// A correct password that still needs its second step gives its strike back (and the
+// lock it would have earned, unless earlier failures already reached the threshold)
+export async function adminLoginRefundAttempt(query, keys) {
+  await query(
+    `UPDATE admin_login_attempts
+     SET strike_count = strike_count - 1,
+         locked_until = CASE WHEN strike_count - 1 >= $2 THEN locked_until ELSE NULL END,
+         updated_at = $3
+     WHERE key = ANY($1) AND strike_count > 0`,
+    [keys.map((k) => k.key), LOGIN_THROTTLE.freeAttempts, Date.now()]
+  );
+}
+
+export async function adminLoginRecordSuccess(query, keys) {
+  await query(`DELETE FROM admin_login_attempts WHERE key = ANY($1)`, [keys.map((k) => k.key)]);
+}
+
+export async function adminListLoginLockouts(query, { includeStrikes = false } = {}) {
+  const now = Date.now();
+  const res = await query(
+    `SELECT key, kind, strike_count, last_failed_at, locked_until, updated_at
+     FROM admin_login_attempts
+     ${includeStrikes ? "" : "WHERE locked_until > $1"}
+     ORDER BY last_failed_at DESC
+     LIMIT 500`,
+    includeStrikes ? [] : [now]
+  );
+  return res.rows.map((r) => ({ ...r, locked: Number(r.locked_until || 0) > now }));
+}
+
+export async function adminClearLoginLockout(query, key) {
+  const res = await query(`DELETE FROM admin_login_attempts WHERE key = $1 RETURNING key`, [key]);
+  if (!res.rows[0]) return { ok: false, error: "LOCKOUT_NOT_FOUND" };
+  return { ok: true };
+}
+
+// ---- admin TOTP 2FA ----
+
+export const RECOVERY_CODE_COUNT = 10;
+
+function generateRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(5)).toLowerCase(); // 8 chars, 40 bits
+  return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").trim().toLowerCase().replace(/[\s-]/g, "");
+}
+
+async function replaceRecoveryCodes(query, adminId) {
+  const now = Date.now();
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await query(`DELETE FROM admin_recovery_codes WHERE admin_id = $1`, [adminId]);
+  for (const code of codes) {
+    const code_hash = await bcrypt.hash(normalizeRecoveryCode(code), 10);
+    await query(
+      `INSERT INTO admin_recovery_codes (admin_id, code_hash, created_at) VALUES ($1,$2,$3)`,
+      [adminId, code_hash, now]
+    );
+  }
+
+  return codes;
+}
+
+export async function adminCountRecoveryCodes(query, adminId) {
+  const res = await query(
+    `SELECT COUNT(*)::int AS n FROM admin_recovery_codes WHERE admin_id = $1 AND used_at IS NULL`,
+    [adminId]
+  );
+  return Number(res.rows[0]?.n || 0);
+}
+
+// Step 1 of enrollment: store a pending secret; 2FA stays off until a code from it verifies
+export async function adminTotpBeginSetup(query, adminId) {
+  const acct = await adminGetAccount(query, adminId);
+  if (!acct) return { ok: false, error: "ADMIN_NOT_FOUND" };
+  if (acct.totp_enabled) return { ok: false, error: "TOTP_ALREADY_ENABLED" };
+
+  const secret = generateTotpSecret();
+  await query(
+    `UPDATE admins SET totp_pending_secret = $2, updated_at = $3 WHERE id = $1`,
+    [adminId, secret, Date.now()]
+  );
+  return { ok: true, secret, username: acct.username };
+}
+
+// Step 2 of enrollment: confirm the app is producing codes, then switch 2FA on and issue recovery codes
+export async function adminTotpConfirmSetup(query, adminId, code) {
+  const res = await query(`SELECT totp_pending_secret, totp_enabled FROM admins WHERE id = $1`, [adminId]);
+  const row = res.rows[0];
+  if (!row) return { ok: false, error: "ADMIN_NOT_FOUND" };
+  if (row.totp_enabled) return { ok: false, error: "TOTP_ALREADY_ENABLED" };
+  if (!row.totp_pending_secret) return { ok: false, error: "TOTP_SETUP_NOT_STARTED" };
+
+  const step = verifyTotp(row.totp_pending_secret, code);
+  if (step === null) return { ok: false, error: "INVALID_TOTP" };
+
+  await query(
+    `UPDATE admins
+     SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled = TRUE,
+         totp_last_step = $2, updated_at = $3
+     WHERE id = $1`,
+    [adminId, step, Date.now()]
+  );
+
+  const recovery_codes = await replaceRecoveryCodes(query, adminId);
+  return { ok: true, recovery_codes };
+}
+
+/**
+ * Second login step. Accepts a current TOTP code or an unused recovery code
+ * (recovery codes are burned on use). Returns { ok, method }.
+ */
+export async function adminTotpVerifyLogin(query, adminId, code) {
+  const res = await query(`SELECT totp_secret, totp_enabled, totp_last_step FROM admins WHERE id = $1`, [adminId]);
+  const row = res.rows[0];
+  if (!row || !row.totp_enabled || !row.totp_secret) return { ok: false, error: "TOTP_NOT_ENABLED" };
+
+  const lastStep = row.totp_last_step === null || row.totp_last_step === undefined ? null : Number(row.totp_last_step);
+  const step = verifyTotp(row.totp_secret, code, { afterStep: lastStep });
+  if (step !== null) {
+    await query(`UPDATE admins SET totp_last_step = $2 WHERE id = $1`, [adminId, step]);
+    return { ok: true, method: "totp" };
+  }
+
+  const clean = normalizeRecoveryCode(code);
+  if (clean.length === 8) {
+    const codes = await query(
+      `SELECT id, code_hash FROM admin_recovery_codes WHERE admin_id = $1 AND used_at IS NULL`,
+      [adminId]
+    );
+    for (const rc of codes.rows) {
+      if (await bcrypt.compare(clean, rc.code_hash)) {
+        await query(`UPDATE admin_recovery_codes SET used_at = $2 WHERE id = $1`, [rc.id, Date.now()]);
+        return { ok: true, method: "recovery" };
+      }
+    }
+  }
+
+  return { ok: false, error: "INVALID_TOTP" };
+}
+
+export async function adminTotpRegenerateRecoveryCodes(query, adminId, code) {
+  const check = await adminTotpVerifyLogin(query, adminId, code);
+  if (!check.ok) return check;
+
+  const recovery_codes = await replaceRecoveryCodes(query, adminId);
+  return { ok: true, recovery_codes };
+}
+
+export async function adminTotpDisable(query, adminId) {
+  const acct = await adminGetAccount(query, adminId);
+  if (!acct) return { ok: false, error: "ADMIN_NOT_FOUND" };
+
+  await query(
+    `UPDATE admins
+     SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = FALSE, totp_last_step = NULL, updated_at = $2
+     WHERE id = $1`,
+    [adminId, Date.now()]
+  );
+  await query(`DELETE FROM admin_recovery_codes WHERE admin_id = $1`, [adminId]);
+  return { ok: true };
+}
+
+// ---- bulk import (CSV: flat_id, name, note, optional status) ----
+
+export const IMPORT_STATUSES = ["PENDING", "APPROVED", "REJECTED"];
+export const IMPORT_MAX_ROWS = 5000;
+
+/**
+ * Validates every row against the file itself and the DB, then (unless dryRun) writes them.
+ * All-or-nothing: any row error means nothing is written. Callers should pass a transaction
+ * query for the commit run so the checks and inserts see the same snapshot.
+ *
+ * APPROVED rows also create the flat as ACTIVE, same as approving a request.
+ */
+export async function adminImportFlatRequests(query, records, { dryRun = true } = {}) {
+  if (records.length > IMPORT_MAX_ROWS) return { ok: false, error: "TOO_MANY_ROWS", max: IMPORT_MAX_ROWS };
+
+  // canonical (or already stored legacy) flat_id per record; rows that do not fit the layout keep their raw value and get an error
+  const present = records.filter((r) => String(r.flat_id || "").trim());
+  const resolved = await adminResolveFlatIds(query, present.map((r) => r.flat_id));
+  const byRecord = new Map(present.map((r, i) => [r, resolved[i]]));
+  const parsedIds = records.map((r) => byRecord.get(r) || null);
+  const flatIds = [...new Set(parsedIds.filter((p) => p?.ok).map((p) => p.flat_id))];
+  const pendingRes = flatIds.length
+    ? await query(`SELECT DISTINCT flat_id FROM flat_requests WHERE status = 'PENDING' AND flat_id = ANY($1)`, [flatIds])
+    : { rows: [] };
+  const flatsRes = flatIds.length
+    ? await query(`SELECT flat_id, status FROM flats WHERE flat_id = ANY($1)`, [flatIds])
+    : { rows: [] };
+  const pending = new Set(pendingRes.rows.map((r) => r.flat_id));
+  const existingFlats = new Map(flatsRes.rows.map((r) => [r.flat_id, r.status]));
+
+  const seen = new Map(); // flat_id -> first row number
+  const report = records.map((r, idx) => {
+    const parsedId = parsedIds[idx];
+    const flat_id = parsedId?.ok ? parsedId.flat_id : String(r.flat_id || "").trim();
+    const name = String(r.name || "").trim();
+    const note = String(r.note || "");
+    const status = String(r.status || "PENDING").trim().toUpperCase() || "PENDING";
+    const errors = [];
+    const warnings = [];
+
+    if (!flat_id) errors.push("FLAT_ID_REQUIRED");
+    else if (!parsedId.ok) errors.push(parsedId.error);
+    if (!name) errors.push("NAME_REQUIRED");
+    if (!IMPORT_STATUSES.includes(status)) errors.push("BAD_STATUS");
+
+    if (parsedId?.ok) {
+      if (seen.has(flat_id)) errors.push(`DUPLICATE_IN_FILE (row ${seen.get(flat_id)})`);
+      else seen.set(flat_id, r._row);
+
+      if (pending.has(flat_id)) errors.push("PENDING_REQUEST_EXISTS");
+      if (existingFlats.has(flat_id)) {
+        if (status === "APPROVED") errors.push(`FLAT_EXISTS (${existingFlats.get(flat_id)})`);
+        else warnings.push(`FLAT_EXISTS (${existingFlats.get(flat_id)})`);
+      }
+    }
+
+    return { row: r._row, flat_id, name, note, status, errors, warnings };
+  });
+
+  const errorRows = report.filter((r) => r.errors.length).length;
+  const summary = {
+    rows: report.length,
+    error_rows: errorRows,
+    requests: report.length - errorRows,
+    flats: report.filter((r) => !r.errors.length && r.status === "APPROVED").length
+  };
+
+  if (dryRun || errorRows > 0 || !report.length) {
+    return { ok: true, dry_run: true, committed: false, summary, report };
+  }
+
+  const now = Date.now();
+  for (const r of report) {
+    await query(
+      `INSERT INTO flat_requests (flat_id, name, note, status, created_at, updated_at, block_code)
+       VALUES ($1,$2,$3,$4,$5,$5,$6)`,
+      [r.flat_id, r.name, r.note, r.status, now, blockOf(r.flat_id)]
+    );
+    if (r.status === "APPROVED") {
+      await query(
+        `INSERT INTO flats (flat_id, status, created_at, updated_at, block_code) VALUES ($1,'ACTIVE',$2,$2,$3)`,
+        [r.flat_id, now, blockOf(r.flat_id)]
+      );
+    }
+  }
+
+  return { ok: true, dry_run: false, committed: true, summary, report };
+}
+
+// ---- flat ID migration report ----
+
+function flatIdIssue(flat_id) {
+  const p = parseFlatId(flat_id);
+  if (!p.ok) return { flat_id, canonical: null, error: p.error };
+  return p.flat_id === flat_id ? null : { flat_id, canonical: p.flat_id, error: null };
+}
+
+/**
+ * One-off check of stored IDs against the configured layout (flat_id.js). Lists every
+ * flat and request flat_id that is not canonical, with its canonical spelling when it
+ * has one. For flats, collides means the canonical ID already exists as a separate flat,
+ * so the two need merging by hand rather than a rename.
+ */
+export async function adminFlatIdReport(query) {
+  const flatsRes = await query(`SELECT flat_id, status FROM flats ORDER BY flat_id`);
+  const reqRes = await query(
+    `SELECT flat_id, COUNT(*)::int AS requests FROM flat_requests GROUP BY flat_id ORDER BY flat_id`
+  );
+  const existing = new Set(flatsRes.rows.map((r) => r.flat_id));
+
+  const flats = [];
+  for (const row of flatsRes.rows) {
+    const issue = flatIdIssue(row.flat_id);
+    if (issue) flats.push({ ...issue, status: row.status, collides: Boolean(issue.canonical && existing.has(issue.canonical)) });
+  }
+
+  const requests = [];
+  for (const row of reqRes.rows) {
+    const issue = flatIdIssue(row.flat_id);
+    if (issue) requests.push({ ...issue, requests: row.requests });
+  }
+
+  return {
+    ok: true,
+    schema: describeFlatIdSchema(),
+    checked: { flats: flatsRes.rows.length, request_flat_ids: reqRes.rows.length },
+    flats,
+    requests
+  };
+}
+
+// Spelling flats were stored under before IDs were canonicalised (trimmed, upper-cased)
+function legacyFlatId(raw) {
+  return String(raw ?? "").trim().toUpperCase();
+}
+
+/**
+ * Maps route/CSV input to the flat_id to act on. The canonical spelling wins; when no
+ * flat is stored under it but one is stored under the pre-layout spelling ("A502",
+ * "GUARDROOM"), that stored ID is used so such flats stay manageable until they are
+ * renamed (adminRenameFlatId). Returns one result per input: { ok: true, flat_id, legacy }
+ * or parseFlatId's { ok: false, error, input }.
+ */
+export async function adminResolveFlatIds(query, raws) {
+  const parsed = raws.map((raw) => parseFlatId(raw));
+  const candidates = new Set();
+  raws.forEach((raw, i) => {
+    if (parsed[i].ok) candidates.add(parsed[i].flat_id);
+    if (legacyFlatId(raw)) candidates.add(legacyFlatId(raw));
+  });
+
+  const stored = new Set();
+  if (candidates.size) {
+    const res = await query(`SELECT flat_id FROM flats WHERE flat_id = ANY($1)`, [[...candidates]]);
+    for (const r of res.rows) stored.add(r.flat_id);
+  }
+
+  return raws.map((raw, i) => {
+    const p = parsed[i];
+    const legacy = legacyFlatId(raw);
+    if (p.ok && stored.has(p.flat_id)) return { ok: true, flat_id: p.flat_id, legacy: false };
+    if (legacy && stored.has(legacy)) return { ok: true, flat_id: legacy, legacy: true };
+    if (p.ok) return { ok: true, flat_id: p.flat_id, legacy: false };
+    return p;
+  });
+}
+
+export async function adminResolveFlatId(query, raw) {
+  return (await adminResolveFlatIds(query, [raw]))[0];
+}
+
+/**
+ * Moves everything stored under `from` (exactly as stored, e.g. from adminFlatIdReport)
+ * to the canonical spelling of `to`: the flat row, its setup codes and its requests.
+ * Audit rows stay under the ID each action was taken on; the caller's flat.rename entry
+ * links the two (see adminFlatIdHistory). When a flat already exists under `to` the two are merged, which needs
+ * { merge: true }: the target keeps its credentials where it has them and takes the
+ * stricter of the two ban/disable states; if both have an active setup code, the one
+ * moved over is superseded. Run it through withTransaction.
+ */
+export async function adminRenameFlatId(query, { from, to, merge = false }) {
+  const source = String(from ?? "");
+  const target = parseFlatId(to);
+  if (!target.ok) return { ok: false, error: "BAD_FLAT_ID", reason: target.error, flat_id: target.input };
+  if (target.flat_id === source) return { ok: false, error: "SAME_FLAT_ID" };
+
+  const now = Date.now();
+  const flatCols = `flat_id, status, pin_hash, password_hash, strike_count, ban_until, requires_admin_revoke,
+                    created_at, updated_at, last_login_at`;
+  const srcFlat = (await query(`SELECT ${flatCols} FROM flats WHERE flat_id = $1`, [source])).rows[0];
+  const reqCount = (await query(`SELECT COUNT(*)::int AS n FROM flat_requests WHERE flat_id = $1`, [source])).rows[0].n;
+  if (!srcFlat && !reqCount) return { ok: false, error: "FLAT_NOT_FOUND" };
+
+  const dstFlat = (await query(`SELECT ${flatCols} FROM flats WHERE flat_id = $1`, [target.flat_id])).rows[0];
+  const merged = Boolean(srcFlat && dstFlat);
+  if (merged && !merge) return { ok: false, error: "FLAT_ID_TAKEN", flat_id: target.flat_id };
+
+  if (merged) {
+    const maxOf = (a, b) => (a == null ? b : b == null ? a : Math.max(Number(a), Number(b)));
+    await query(
+      `UPDATE flats
+       SET status = $2, pin_hash = $3, password_hash = $4, strike_count = $5, ban_until = $6,
+           requires_admin_revoke = $7, created_at = $8, last_login_at = $9, updated_at = $10
+       WHERE flat_id = $1`,
+      [
+        target.flat_id,
+        srcFlat.status === "DISABLED" || dstFlat.status === "DISABLED" ? "DISABLED" : dstFlat.status,
+        dstFlat.pin_hash ?? srcFlat.pin_hash,
+        dstFlat.password_hash ?? srcFlat.password_hash,
+        maxOf(srcFlat.strike_count, dstFlat.strike_count),
+        maxOf(srcFlat.ban_until, dstFlat.ban_until),
+        Boolean(srcFlat.requires_admin_revoke) || Boolean(dstFlat.requires_admin_revoke),
+        Math.min(Number(srcFlat.created_at), Number(dstFlat.created_at)),
+        maxOf(srcFlat.last_login_at, dstFlat.last_login_at),
+        now
+      ]
+    );
+
+    const targetActive = await query(`SELECT 1 FROM setup_codes WHERE flat_id = $1 AND ${ACTIVE_SETUP_CODE} LIMIT 1`, [target.flat_id, now]);
+    if (targetActive.rows.length) {
+      // expires_at too: the user service only checks used_at/expires_at (see adminGenerateSetupCode)
+      await query(
+        `UPDATE setup_codes SET superseded_at = $2, expires_at = LEAST(expires_at, $2) WHERE flat_id = $1 AND ${ACTIVE_SETUP_CODE}`,
+        [source, now]
+      );
+    }
+  } else if (srcFlat) {
+    // setup_codes reference flats(flat_id), so the row is copied under the new ID rather than updated in place
+    await query(
+      `INSERT INTO flats (flat_id, status, pin_hash, password_hash, strike_count, ban_until, requires_admin_revoke,
+                          created_at, updated_at, last_login_at, block_code)
+       SELECT $2, status, pin_hash, password_hash, strike_count, ban_until, requires_admin_revoke,
+              created_at, $3, last_login_at, $4
+       FROM flats WHERE flat_id = $1`,
+      [source, target.flat_id, now, target.block]
+    );
+  }
+
+  const codes = await query(`UPDATE setup_codes SET flat_id = $2 WHERE flat_id = $1`, [source, target.flat_id]);
+  const requests = await query(
+    `UPDATE flat_requests SET flat_id = $2, block_code = $3, updated_at = $4 WHERE flat_id = $1`,
+    [source, target.flat_id, target.block, now]
+  );
+  if (srcFlat) await query(`DELETE FROM flats WHERE flat_id = $1`, [source]);
+
+  return {
+    ok: true,
+    from: source,
+    to: target.flat_id,
+    merged,
+    moved: { setup_codes: codes.rowCount || 0, requests: requests.rowCount || 0 }
+  };
+}
+
+// flat_id followed by every ID it was renamed or merged from, per the flat.rename audit entries
+export async function adminFlatIdHistory(query, flat_id) {
+  const ids = [flat_id];
+  for (let i = 0; i < ids.length; i++) {
+    const res = await query(
+      `SELECT meta_json FROM admin_audit WHERE action = 'flat.rename' AND flat_id = $1`,
+      [ids[i]]
+    );
+    for (const r of res.rows) {
+      const from = fromJson(r.meta_json)?.from;
+      if (from && !ids.includes(from)) ids.push(from);
+    }
+  }
+  return ids;
+}
+
+// ---- buildings / blocks ----
+
+/**
+ * Sets block_code on flats and requests stored before the column existed and makes sure
+ * every block seen in a flat ID has a blocks row. Safe to run on every start.
+ */
+export async function adminBackfillBlocks(query) {
+  const now = Date.now();
+  let updated = 0;
+
+  for (const table of ["flats", "flat_requests"]) {
+    const res = await query(`SELECT DISTINCT flat_id FROM ${table} WHERE block_code IS NULL`);
+    const byBlock = new Map();
+    for (const { flat_id } of res.rows) {
+      const block = blockOf(flat_id);
+      if (!block) continue;
+      if (!byBlock.has(block)) byBlock.set(block, []);
+      byBlock.get(block).push(flat_id);
+    }
+    for (const [block, ids] of byBlock) {
+      const up = await query(`UPDATE ${table} SET block_code = $1 WHERE block_code IS NULL AND flat_id = ANY($2)`, [block, ids]);
+      updated += up.rowCount || 0;
+    }
+  }
+
+  await query(
+    `INSERT INTO blocks (code, created_at, updated_at)
+     SELECT DISTINCT block_code, $1::bigint, $1::bigint FROM flats WHERE block_code IS NOT NULL
+     ON CONFLICT (code) DO NOTHING`,
+    [now]
+  );
+
+  return { ok: true, updated };
+}
+
+export async function adminListBuildings(query) {
+  const res = await query(`SELECT id, name, created_at FROM buildings ORDER BY name`);
+  return res.rows;
+}
+
+export async function adminCreateBuilding(query, { name }) {
+  const clean = String(name || "").trim();
+  if (!clean) return { ok: false, error: "NAME_REQUIRED" };
+
+  const res = await query(
+    `INSERT INTO buildings (name, created_at) VALUES ($1,$2)
+     ON CONFLICT (name) DO NOTHING
+     RETURNING id, name, created_at`,
+    [clean, Date.now()]
+  );
+  if (!res.rows[0]) return { ok: false, error: "BUILDING_EXISTS" };
+  return { ok: true, building: res.rows[0] };
+}
+
+export async function adminGetBlock(query, code) {
+  const res = await query(`SELECT code, building_id, name, created_at, updated_at FROM blocks WHERE code = $1`, [code]);
+  return res.rows[0] || null;
+}
+
+// Names a block and/or assigns it to a building (null building_id unassigns). Creates the row if needed.
+export async function adminSetBlock(query, code, { name = "", building_id = null } = {}) {
+  const clean = String(code || "").trim().toUpperCase();
+  if (!/^[A-Z]{1,3}$/.test(clean)) return { ok: false, error: "BAD_BLOCK_CODE" };
+
+  if (building_id !== null) {
+    const b = await query(`SELECT id FROM buildings WHERE id = $1`, [building_id]);
+    if (!b.rows[0]) return { ok: false, error: "BUILDING_NOT_FOUND" };
+  }
+
+  const now = Date.now();
+  await query(
+    `INSERT INTO blocks (code, building_id, name, created_at, updated_at)
+     VALUES ($1,$2,$3,$4,$4)
+     ON CONFLICT (code) DO UPDATE SET building_id = $2, name = $3, updated_at = $4`,
+    [clean, building_id, String(name || "").trim(), now]
+  );
+  return { ok: true, code: clean };
+}
+
+/**
+ * Per-block flat and request counts. Blocks come from the blocks table plus any block_code
+ * seen on flats or pending requests, so a new tower shows up before anyone names it.
+ * "Online now" needs the live snapshot and is added by the caller.
+ */
+export async function adminListBlocks(query) {
+  const res = await query(
+    `WITH codes AS (
+       SELECT code FROM blocks
+       UNION SELECT block_code FROM flats WHERE block_code IS NOT NULL
+       UNION SELECT block_code FROM flat_requests WHERE block_code IS NOT NULL AND status = 'PENDING'
+     )
+     SELECT c.code, COALESCE(b.name, '') AS name, b.building_id, bu.name AS building_name,
+       (SELECT COUNT(*)::int FROM flats f WHERE f.block_code = c.code) AS flats,
+       (SELECT COUNT(*)::int FROM flats f WHERE f.block_code = c.code AND f.status = 'ACTIVE') AS active,
+       (SELECT COUNT(*)::int FROM flats f WHERE f.block_code = c.code AND f.status = 'DISABLED') AS disabled,
+       (SELECT COUNT(*)::int FROM flats f WHERE f.block_code = c.code AND f.ban_until > $1) AS banned,
+       (SELECT COUNT(*)::int FROM flat_requests r WHERE r.block_code = c.code AND r.status = 'PENDING') AS pending_requests
+     FROM codes c
+     LEFT JOIN blocks b ON b.code = c.code
+     LEFT JOIN buildings bu ON bu.id = b.building_id
+     ORDER BY bu.name NULLS LAST, c.code`,
+    [Date.now()]
+  );
+  return res.rows;
+}
+
+// ---- DB viewer / editor ----
+// Generic row access for the DB tab, limited to an allow-list. Table and column names are
+// only ever taken from the catalog (never from the request) and are always quoted;
+// values always go through parameters.
+
+// hidden: never selected or written (hashes/secrets). readOnly: viewable only.
+// flatId: flat_id is canonicalised (flat_id.js) and block_code derived from it, as on every other write path.
+// Admin accounts, 2FA material, sessions and login throttling are deliberately absent.
+export const DB_VIEWER_TABLES = {
+  flats: { hidden: ["pin_hash", "password_hash"], flatId: true },
+  flat_requests: { flatId: true },
+  setup_codes: { hidden: ["code_hash"], readOnly: true },
+  buildings: {},
+  blocks: {},
+  admin_audit: { readOnly: true }
+};
+
+const DB_TEXT_TYPES = new Set(["text", "character varying", "character"]);
+
+function quoteIdent(name) {
+  return `"${String(name).replaceAll('"', '""')}"`;
+}
+
+export function adminDbTables() {
+  return Object.keys(DB_VIEWER_TABLES);
+}
+
+// Columns as { name, type, nullable, has_default } plus primary key names, from the catalog
+async function dbCatalog(query, table) {
+  if (query.dialect === "sqlite") {
+    const res = await query(`SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info($1) ORDER BY cid`, [table]);
+    return {
+      cols: res.rows.map((c) => ({
+        name: c.name,
+        type: String(c.type || "").toLowerCase(),
+        nullable: !c.notnull && !c.pk,
+        // INTEGER PRIMARY KEY is the rowid and fills itself in
+        has_default: c.dflt_value !== null || (Boolean(c.pk) && /^integer$/i.test(c.type))
+      })),
+      pkCols: res.rows.filter((c) => c.pk).sort((a, b) => a.pk - b.pk).map((c) => c.name)
+    };
+  }
+
+  const colRes = await query(
+    `SELECT column_name, data_type, is_nullable, column_default
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  const pkRes = await query(
+    `SELECT kcu.column_name
+     FROM information_schema.table_constraints tc
+     JOIN information_schema.key_column_usage kcu
+       ON kcu.constraint_name = tc.constraint_name
+      AND kcu.table_schema = tc.table_schema
+      AND kcu.table_name = tc.table_name
+     WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = current_schema() AND tc.table_name = $1
+     ORDER BY kcu.ordinal_position`,
+    [table]
+  );
+
+  return {
+    cols: colRes.rows.map((c) => ({
+      name: c.column_name,
+      type: c.data_type,
+      nullable: c.is_nullable === "YES",
+      has_default: c.column_default !== null
+    })),
+    pkCols: pkRes.rows.map((r) => r.column_name)
+  };
+}
+
+export async function adminDbMeta(query, table) {
+  const spec = Object.hasOwn(DB_VIEWER_TABLES, table) ? DB_VIEWER_TABLES[table] : null;
+  if (!spec) return { ok: false, error: "UNKNOWN_TABLE" };
+
+  const catalog = await dbCatalog(query, table);
+  if (!catalog.cols.length) return { ok: false, error: "UNKNOWN_TABLE" };
+
+  const hidden = new Set(spec.hidden || []);
+  const cols = catalog.cols.filter((c) => !hidden.has(c.name));
+
+  return {
+    ok: true,
+    table,
+    cols,
+    pkCols: catalog.pkCols,
+    readOnly: Boolean(spec.readOnly),
+    // filled in by the server, so the editor shows them without an input
+    derived: spec.flatId ? ["block_code"] : []
+  };
+}
+
+export async function adminDbRows(query, table, { limit = 50, offset = 0 } = {}) {
+  const meta = await adminDbMeta(query, table);
+  if (!meta.ok) return meta;
+
+  const cols = meta.cols.map((c) => quoteIdent(c.name)).join(", ");
+  const order = (meta.pkCols.length ? meta.pkCols : [meta.cols[0].name]).map(quoteIdent).join(", ");
+
+  const countRes = await query(`SELECT COUNT(*)::int AS n FROM ${quoteIdent(table)}`);
+  const res = await query(
+    `SELECT ${cols} FROM ${quoteIdent(table)} ORDER BY ${order} LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  return { ok: true, rows: res.rows, total: Number(countRes.rows[0]?.n || 0), limit, offset };
+}
+
+// Form values arrive as strings: "" means NULL for non-text columns, the database casts the rest.
+// Booleans are parsed here because SQLite would store "true" as text.
+function dbValue(col, v) {
+  if (v === null || v === undefined) return null;
+  if (v === "" && !DB_TEXT_TYPES.has(col.type)) return null;
+  if (col.type === "boolean" && typeof v !== "object") {
+    const b = String(v).trim().toLowerCase();
+    if (["true", "t", "1", "yes"].includes(b)) return true;
+    if (["false", "f", "0", "no"].includes(b)) return false;
+  }
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// WHERE clause over every primary key column; params continue after `params`
+function dbPkWhere(meta, pk, params) {
+  if (!meta.pkCols.length) return { error: "NO_PRIMARY_KEY" };
+  if (!pk || typeof pk !== "object" || meta.pkCols.some((k) => pk[k] === undefined || pk[k] === null)) {
+    return { error: "BAD_PK" };
+  }
+  const where = meta.pkCols.map((k) => {
+    params.push(pk[k]);
+    return `${quoteIdent(k)} = $${params.length}`;
+  });
+  return { sql: where.join(" AND ") };
+}
+
+// For flatId tables: a new or changed flat_id must fit the layout and is stored canonical,
+// and block_code always follows it. An unchanged (possibly pre-layout) flat_id is left alone.
+function dbFlatIdValues(values, before = null) {
+  const out = { ...values };
+  delete out.block_code;
+  if (before && (!Object.hasOwn(values, "flat_id") || values.flat_id === before.flat_id)) return { ok: true, values: out };
+
+  const p = parseFlatId(values.flat_id);
+  if (!p.ok) return { ok: false, error: "BAD_FLAT_ID", reason: p.error, flat_id: p.input };
+  return { ok: true, values: { ...out, flat_id: p.flat_id, block_code: p.block } };
+}
+
+async function dbEditableMeta(query, table) {
+  const meta = await adminDbMeta(query, table);
+  if (meta.ok && meta.readOnly) return { ok: false, error: "TABLE_READ_ONLY" };
+  return meta;
+}
+
+// Returns { ok, before, after } so the caller can audit the change
+export async function adminDbUpdate(query, table, { pk, values = {} } = {}) {
+  const meta = await dbEditableMeta(query, table);
+  if (!meta.ok) return meta;
+
+  const byName = new Map(meta.cols.map((c) => [c.name, c]));
+  const unknown = Object.keys(values).find((k) => !byName.has(k));
+  if (unknown) return { ok: false, error: "UNKNOWN_COLUMN", column: unknown };
+
+  const params = [];
+  const where = dbPkWhere(meta, pk, params);
+  if (where.error) return { ok: false, error: where.error };
+
+  const cols = meta.cols.map((c) => quoteIdent(c.name)).join(", ");
+  const beforeRes = await query(`SELECT ${cols} FROM ${quoteIdent(table)} WHERE ${where.sql}`, params);
+  if (!beforeRes.rows[0]) return { ok: false, error: "ROW_NOT_FOUND" };
+
+  // primary key columns identify the row and are never rewritten
+  values = Object.fromEntries(Object.entries(values).filter(([k]) => !meta.pkCols.includes(k)));
+  if (DB_VIEWER_TABLES[table].flatId) {
+    const fixed = dbFlatIdValues(values, beforeRes.rows[0]);
+    if (!fixed.ok) return fixed;
+    values = fixed.values;
+  }
+  const sets = Object.keys(values);
+  if (!sets.length) return { ok: false, error: "NO_VALUES" };
+
+  const assignments = sets.map((k) => {
+    params.push(dbValue(byName.get(k), values[k]));
+    return `${quoteIdent(k)} = $${params.length}`;
+  });
+  const res = await query(
+    `UPDATE ${quoteIdent(table)} SET ${assignments.join(", ")} WHERE ${where.sql} RETURNING ${cols}`,
+    params
+  );
+
+  return { ok: true, before: beforeRes.rows[0], after: res.rows[0] };
+}
+
+export async function adminDbInsert(query, table, { values = {} } = {}) {
+  const meta = await dbEditableMeta(query, table);
+  if (!meta.ok) return meta;
+
+  const byName = new Map(meta.cols.map((c) => [c.name, c]));
+  const unknown = Object.keys(values).find((k) => !byName.has(k));
+  if (unknown) return { ok: false, error: "UNKNOWN_COLUMN", column: unknown };
+
+  if (DB_VIEWER_TABLES[table].flatId) {
+    const fixed = dbFlatIdValues(values);
+    if (!fixed.ok) return fixed;
+    values = fixed.values;
+  }
+
+  // a blank field on a column with a default (ids, flags) means "use the default"
+  const names = Object.keys(values).filter((k) => !(values[k] === "" && byName.get(k).has_default));
+  if (!names.length) return { ok: false, error: "NO_VALUES" };
+
+  const params = names.map((k) => dbValue(byName.get(k), values[k]));
+  const cols = meta.cols.map((c) => quoteIdent(c.name)).join(", ");
+  const res = await query(
+    `INSERT INTO ${quoteIdent(table)} (${names.map(quoteIdent).join(", ")})
+     VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+     RETURNING ${cols}`,
+    params
+  );
+
+  return { ok: true, after: res.rows[0] };
+}
+
+export async function adminDbDelete(query, table, { pk } = {}) {
+  const meta = await dbEditableMeta(query, table);
+  if (!meta.ok) return meta;
+
+  const params = [];
+  const where = dbPkWhere(meta, pk, params);
+  if (where.error) return { ok: false, error: where.error };
+
+  const cols = meta.cols.map((c) => quoteIdent(c.name)).join(", ");
+  const res = await query(`DELETE FROM ${quoteIdent(table)} WHERE ${where.sql} RETURNING ${cols}`, params);
+  if (!res.rows[0]) return { ok: false, error: "ROW_NOT_FOUND" };
+
+  return { ok: true, before: res.rows[0] };
+}
+
+// ---- SQL console (superadmin) ----
+// Statements run through withReadOnlyTransaction (db_pg.js), so the database rejects writes.
+// The tables DB_VIEWER_TABLES leaves out on purpose are refused by name, together with the
+// functions that could reach them through dynamic SQL. The columns it hides are kept out
+// by the database itself: on Postgres the console only runs as SQL_CONSOLE_ROLE, a role
+// that cannot read them, e.g.:
+//   CREATE ROLE audix_console NOLOGIN; GRANT audix_console TO <app user>;
+//   GRANT SELECT ON flat_requests, buildings, blocks, admin_audit, schema_migrations TO audix_console;
+//   GRANT SELECT (flat_id, status, strike_count, ban_until, requires_admin_revoke, created_at, updated_at,
+//     last_login_at, block_code) ON flats TO audix_console;
+//   GRANT SELECT (id, flat_id, expires_at, used_at, created_at, created_by, superseded_at, revoked_at, revoked_by)
+//     ON setup_codes TO audix_console;
+// SQLite has no roles; its read-only connection reads those tables through temp views
+// without the hidden columns (`hide`, see db_sqlite.js connectReadOnly).
+
+export const SQL_CONSOLE = {
+  maxRows: Number(process.env.SQL_CONSOLE_MAX_ROWS || 1000),
+  timeoutMs: Number(process.env.SQL_CONSOLE_TIMEOUT_MS || 5000),
+  maxLength: 20_000,
+  role: process.env.SQL_CONSOLE_ROLE || null,
+  hide: Object.fromEntries(
+    Object.entries(DB_VIEWER_TABLES).filter(([, t]) => t.hidden?.length).map(([name, t]) => [name, t.hidden])
+  )
+};
+
+// Why the console cannot run on this database, or null when it can. An in-memory SQLite
+// database cannot be opened by the read-only child process the console runs in.
+export function sqlConsoleUnavailable({ dialect, inMemory = false }) {
+  if (dialect === "postgres" && !SQL_CONSOLE.role) return "CONSOLE_ROLE_REQUIRED";
+  if (dialect === "sqlite" && inMemory) return "CONSOLE_NEEDS_DB_FILE";
+  return null;
+}
+
+// admin accounts and 2FA material, sessions, login throttling
+const SQL_CONSOLE_DENIED_TABLES = new Set(["admins", "admin_recovery_codes", "admin_sessions", "admin_login_attempts"]);
+const SQL_CONSOLE_DENIED_FUNCTIONS = /^((query|table|cursor|schema|database)_to_xml\w*|dblink\w*|ts_stat|ts_rewrite|pg_read_file|pg_read_binary_file|lo_get|lo_export)$/;
+
+const DOLLAR_QUOTE = /^\$(?:[A-Za-z_]\w*)?\$/;
+// tokens a table name can follow; SQLite also takes a 'string' there (FROM 'admins')
+const TABLE_POSITION = new Set(["from", "join", ",", ".", "("]);
+
+// Body of a U&"..." / U&'...' token: \XXXX and \+XXXXXX code points, or another escape
+// character given by a UESCAPE 'c' clause after it
+function decodeUnicodeEscapes(body, rest) {
+  const esc = /^\s*uescape\s*'(.)'/i.exec(rest)?.[1] ?? "\\";
+  let out = "";
+  for (let j = 0; j < body.length; j++) {
+    if (body[j] !== esc) {
+      out += body[j];
+      continue;
+    }
+    const hex = body[j + 1] === "+" ? /^[0-9a-f]{6}/i.exec(body.slice(j + 2)) : /^[0-9a-f]{4}/i.exec(body.slice(j + 1));
+    if (hex) {
+      out += String.fromCodePoint(parseInt(hex[0], 16));
+      j += hex[0].length + (body[j + 1] === "+" ? 1 : 0);
+    } else {
+      out += body[j + 1] ?? "";
+      j += 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Reads console SQL the way `dialect` will, skipping string literals, quoted identifiers
+ * and comments. Quoting differs: Postgres has E'...' (backslash escapes), U&"..." and
+ * $tag$...$tag$, while SQLite has `x` and [x] and takes a 'string' as a table name.
+ * Returns { text, statements, identifiers }: the SQL with comments blanked and one
+ * trailing semicolon dropped, the number of statements, and every identifier lower-cased
+ * (SQLite matches even quoted ones that way), decoded where it was escaped.
+ */
+function scanConsoleSql(sql, dialect = "postgres") {
+  const pg = dialect !== "sqlite";
+  const src = String(sql || "");
+  const identifiers = new Set();
+  const semicolons = [];
+  let out = "";
+  let prev = "";
+  let i = 0;
+
+  // copies a quoted run starting at `from` to `out` and returns its unquoted body
+  const quoted = (from, open, close, { doubled = false, backslash = false } = {}) => {
+    let j = from + open.length;
+    let body = "";
+    while (j < src.length) {
+      if (backslash && src[j] === "\\") {
+        body += src.slice(j, j + 2);
+        j += 2;
+        continue;
+      }
+      if (src.startsWith(close, j)) {
+        if (doubled && src.startsWith(close, j + close.length)) {
+          body += close;
+          j += close.length * 2;
+          continue;
+        }
+        j += close.length;
+        break;
+      }
+      body += src[j++];
+    }
+    out += src.slice(i, j);
+    i = j;
+    return body;
+  };
+  const literal = (body) => {
+    if (TABLE_POSITION.has(prev)) identifiers.add(body.toLowerCase());
+    prev = "literal";
+  };
+  const identifier = (body) => {
+    identifiers.add(body.toLowerCase());
+    prev = "identifier";
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    const two = src.slice(i, i + 2);
+    const dollar = pg && c === "$" ? DOLLAR_QUOTE.exec(src.slice(i)) : null;
+    // decoded in either dialect: SQLite reads U&"x" as U & "x", a token of the same extent
+    const unicode = /^u&['"]/i.test(src.slice(i, i + 3));
+
+    if (two === "--") {
+      const end = src.indexOf("\n", i);
+      i = end === -1 ? src.length : end;
+      out += " ";
+    } else if (two === "/*") {
+      const end = src.indexOf("*/", i + 2);
+      i = end === -1 ? src.length : end + 2;
+      out += " ";
+    } else if (unicode) {
+      const q = src[i + 2];
+      const body = quoted(i + 2, q, q, { doubled: true });
+      const decoded = decodeUnicodeEscapes(body, src.slice(i));
+      if (q === '"') {
+        identifier(body);
+        identifiers.add(decoded.toLowerCase());
+      } else {
+        literal(decoded);
+      }
+    } else if (pg && /^e'/i.test(two)) {
+      literal(quoted(i + 1, "'", "'", { doubled: true, backslash: true }));
+    } else if (c === "'") {
+      literal(quoted(i, "'", "'", { doubled: true }));
+    } else if (c === '"' || (!pg && c === "`")) {
+      identifier(quoted(i, c, c, { doubled: true }));
+    } else if (!pg && c === "[") {
+      identifier(quoted(i, "[", "]"));
+    } else if (dollar) {
+      quoted(i, dollar[0], dollar[0]);
+      prev = "literal";
+    } else if (/[A-Za-z_]/.test(c)) {
+      const word = /^[A-Za-z_][\w$]*/.exec(src.slice(i))[0];
+      identifier(word);
+      prev = word.toLowerCase();
+      out += word;
+      i += word.length;
+    } else {
+      if (c === ";") semicolons.push(out.length);
+      if (!/\s/.test(c)) prev = c;
+      out += c;
+      i += 1;
+    }
+  }
+
+  const statements = semicolons.filter((p) => out.slice(p + 1).trim()).length + (out.trim() ? 1 : 0);
+  const text = out.trim().replace(/;$/, "").trim();
+  return { text, statements, identifiers };
+}
+
+export function checkConsoleSql(sql, { dialect = "postgres" } = {}) {
+  if (String(sql || "").length > SQL_CONSOLE.maxLength) return { ok: false, error: "SQL_TOO_LONG" };
+  const { text, statements, identifiers } = scanConsoleSql(sql, dialect);
+  if (statements > 1) return { ok: false, error: "ONE_STATEMENT_ONLY" };
+  if (!text) return { ok: false, error: "SQL_REQUIRED" };
+  if (!/^(select|with)\b/i.test(text)) return { ok: false, error: "SELECT_ONLY" };
+
+  const names = [...identifiers];
+  const table = names.find((n) => SQL_CONSOLE_DENIED_TABLES.has(n));
+  if (table) return { ok: false, error: "TABLE_NOT_ALLOWED", table };
+  const fn = names.find((n) => SQL_CONSOLE_DENIED_FUNCTIONS.test(n));
+  if (fn) return { ok: false, error: "FUNCTION_NOT_ALLOWED", function: fn };
+  // on SQLite, main.<table> would reach past the temp views that hide columns
+  if (dialect === "sqlite" && identifiers.has("main")) return { ok: false, error: "SCHEMA_NOT_ALLOWED", schema: "main" };
+  return { ok: true, text };
+}
+
+// Pass the txQuery from withReadOnlyTransaction. Fetches one row past the cap to report truncation.
+export async function adminConsoleQuery(query, sql, { maxRows = SQL_CONSOLE.maxRows } = {}) {
+  const check = checkConsoleSql(sql, { dialect: query.dialect });
+  if (!check.ok) return check;
+
+  const started = Date.now();
+  const res = await query(`SELECT * FROM (${check.text}) AS console_q LIMIT $1`, [maxRows + 1]);
+
+  return {
+    ok: true,
+    columns: res.fields.map((f) => f.name),
+    rows: res.rows.slice(0, maxRows),
+    truncated: res.rows.length > maxRows,
+    max_rows: maxRows,
+    ms: Date.now() - started
+  };
+}
+
+export async function adminListSavedQueries(query) {
+  const res = await query(
+    `SELECT id, name, sql, created_by, created_at, updated_at FROM admin_saved_queries ORDER BY name`
+  );
+  return res.rows;
+}
+
+export async function adminGetSavedQuery(query, id) {
+  const res = await query(
+    `SELECT id, name, sql, created_by, created_at, updated_at FROM admin_saved_queries WHERE id = $1`,
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+// Upsert by name, so "Save" on an existing name replaces its SQL
+export async function adminSaveQuery(query, { name, sql, created_by = null }) {
+  const clean = String(name || "").trim();
+  if (!clean) return { ok: false, error: "NAME_REQUIRED" };
+  if (clean.length > 120) return { ok: false, error: "NAME_TOO_LONG" };
+
+  const check = checkConsoleSql(sql, { dialect: query.dialect });
+  if (!check.ok) return check;
+
+  const now = Date.now();
+  const res = await query(
+    `INSERT INTO admin_saved_queries (name, sql, created_by, created_at, updated_at)
+     VALUES ($1,$2,$3,$4,$4)
+     ON CONFLICT (name) DO UPDATE SET sql = $2, updated_at = $4
+     RETURNING id, name, sql, created_by, created_at, updated_at`,
+    [clean, String(sql).trim(), created_by, now]
+  );
+  return { ok: true, query: res.rows[0] };
+}
+
+export async function adminDeleteSavedQuery(query, id) {
+  const res = await query(`DELETE FROM admin_saved_queries WHERE id = $1 RETURNING id, name, sql`, [id]);
+  if (!res.rows[0]) return { ok: false, error: "QUERY_NOT_FOUND" };
+  return { ok: true, deleted: res.rows[0] };
+}
+
+// ---- exports ----
+
+const EXPORTS = {
+  flats: {
+    table: "flats",
+    key: "flat_id",
+    columns: ["flat_id", "block_code", "status", "strike_count", "ban_until", "requires_admin_revoke", "created_at", "updated_at", "last_login_at"],
+    filter: flatFilterSql
+  },
+  requests: {
+    table: "flat_requests",
+    key: "id",
+    columns: ["id", "flat_id", "block_code", "name", "note", "status", "reject_category", "reject_reason", "created_at", "updated_at"],
+    filter: requestFilterSql
+  },
+  audit: {
+    table: "admin_audit",
+    key: "id",
+    columns: ["id", "action", "actor", "ip", "flat_id", "before_json", "after_json", "meta_json", "created_at"],
+    filter: auditFilterSql,
+    map: auditRowOut
+  }
+};
+
+export const EXPORT_KINDS = Object.keys(EXPORTS);
+
+/**
+ * Yields batches of rows for an export, walking the table by its key (keyset paging)
+ * so memory stays flat however large the table is. Filters mean the same as for the list endpoints.
+ */
+export async function* adminExportBatches(query, kind, filters = {}, batchSize = 500) {
+  const spec = EXPORTS[kind];
+  if (!spec) throw new Error(`unknown export: ${kind}`);
+
+  let after = null;
+  for (;;) {
+    const params = [];
+    const where = spec.filter(filters, params);
+    if (after !== null) {
+      params.push(after);
+      where.push(`${spec.key} > $${params.length}`);
+    }
+    params.push(batchSize);
+
+    const res = await query(
+      `SELECT ${spec.columns.join(", ")}
+       FROM ${spec.table}
+       ${whereSql(where)}
+       ORDER BY ${spec.key} ASC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    if (!res.rows.length) return;
+    yield spec.map ? res.rows.map(spec.map) : res.rows;
+    if (res.rows.length < batchSize) return;
+    after = res.rows[res.rows.length - 1][spec.key];
+  }
+}
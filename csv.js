@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reader: quoted fields, "" escapes, CRLF/LF line ends, leading BOM.
+
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i += 2; continue; }
+        inQuotes = false; i++; continue;
+      }
+      field += ch; i++; continue;
+    }
+
+    if (ch === '"' && field === "") { inQuotes = true; i++; continue; }
+    if (ch === ",") { row.push(field); field = ""; i++; continue; }
+    if (ch === "\r" || ch === "\n") {
+      row.push(field); field = "";
+      rows.push(row); row = [];
+      i += ch === "\r" && src[i + 1] === "\n" ? 2 : 1;
+      continue;
+    }
+
+    field += ch; i++;
+  }
+
+  if (inQuotes) throw new Error("CSV_UNTERMINATED_QUOTE");
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+  // drop blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/**
+ * Parses CSV with a header line into objects keyed by lowercased header names.
+ * Each object carries its 1-based record number as `_row` (the header is row 1).
+ */
+export function parseCsvObjects(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { header: [], records: [] };
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const records = rows.slice(1).map((cells, idx) => {
+    const obj = { _row: idx + 2 };
+    header.forEach((h, j) => { obj[h] = (cells[j] ?? "").trim(); });
+    return obj;
+  });
+
+  return { header, records };
+}
+
+// ---- writing ----
+
+// Cells starting with these are run as formulas by Excel/Sheets; prefix a quote so they stay text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+export function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
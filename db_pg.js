@@ -1,7 +1,10 @@
 import pg from "pg";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import { createSqlitePool } from "./db_sqlite.js";
 const { Pool } = pg;
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-console.log("[DB] TLS verify disabled =", process.env.NODE_TLS_REJECT_UNAUTHORIZED);
 
 
 function normalizeDatabaseUrl(raw) {
@@ -20,78 +23,248 @@ function normalizeDatabaseUrl(raw) {
   return u.toString();
 }
 
-const DATABASE_URL = normalizeDatabaseUrl(process.env.DATABASE_URL);
+function openPostgres(raw) {
+  process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+  console.log("[DB] TLS verify disabled =", process.env.NODE_TLS_REJECT_UNAUTHORIZED);
 
-// Helpful boot log (no password)
-try {
-  const u = new URL(DATABASE_URL);
-  console.log("[DB] target:", `${u.protocol}//${u.username}@${u.host}${u.pathname}`);
-} catch {}
+  const DATABASE_URL = normalizeDatabaseUrl(raw);
 
-// ✅ Force “no verify” TLS (prevents: self-signed certificate in certificate chain)
-const ssl = { rejectUnauthorized: false };
+  // Helpful boot log (no password)
+  try {
+    const u = new URL(DATABASE_URL);
+    console.log("[DB] target:", `${u.protocol}//${u.username}@${u.host}${u.pathname}`);
+  } catch {}
 
-export const pool = new Pool({
-  connectionString: DATABASE_URL,
-  ssl,
-  max: Number(process.env.PG_POOL_MAX || 5),
-  idleTimeoutMillis: 30_000,
-  connectionTimeoutMillis: 10_000,
-});
+  // ✅ Force “no verify” TLS (prevents: self-signed certificate in certificate chain)
+  const ssl = { rejectUnauthorized: false };
 
-export async function query(text, params = []) {
-  return pool.query(text, params);
+  return new Pool({
+    connectionString: DATABASE_URL,
+    ssl,
+    max: Number(process.env.PG_POOL_MAX || 5),
+    idleTimeoutMillis: 30_000,
+    connectionTimeoutMillis: 10_000,
+  });
 }
 
-export async function migrate() {
-  await query(`
-    CREATE TABLE IF NOT EXISTS flat_requests (
-      id BIGSERIAL PRIMARY KEY,
-      flat_id TEXT NOT NULL,
+// "sqlite:./data/audix.sqlite" or "sqlite::memory:" (local demos and the test suite). The SQL
+// console needs the file form: it reads through a separate process (db_sqlite.js connectReadOnly).
+function openSqlite(raw) {
+  const file = raw.replace(/^sqlite:(\/\/)?/i, "") || ":memory:";
+  console.log("[DB] target: sqlite", file);
+  return createSqlitePool(file);
+}
+
+const RAW_DATABASE_URL = process.env.DATABASE_URL || "";
+
+export const DB_DIALECT = /^sqlite:/i.test(RAW_DATABASE_URL) ? "sqlite" : "postgres";
+
+export const pool = DB_DIALECT === "sqlite" ? openSqlite(RAW_DATABASE_URL) : openPostgres(RAW_DATABASE_URL);
+
+// Every query function handed to admin_db_pg.js carries .dialect for the few places
+// (e.g. the DB tab's column listing) that cannot be written portably.
+function dialectQuery(fn) {
+  fn.dialect = DB_DIALECT;
+  return fn;
+}
+
+export const query = dialectQuery(async (text, params = []) => pool.query(text, params));
+
+/**
+ * Runs fn(txQuery) inside BEGIN/COMMIT on a single pooled client. A throw, or a
+ * result with ok === false (the admin_db_pg.js error convention), rolls back.
+ * txQuery has the same signature as query(), so the admin_db_pg.js helpers work unchanged.
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  const txQuery = dialectQuery((text, params = []) => client.query(text, params));
+
+  try {
+    await client.query("BEGIN");
+    const out = await fn(txQuery);
+    await client.query(out?.ok === false ? "ROLLBACK" : "COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs fn(txQuery) in a READ ONLY transaction with a statement timeout, then always
+ * rolls back. The database itself refuses any write, whatever SQL fn sends. (SQLite runs
+ * it on a read-only connection in a child process that is killed at the timeout, see
+ * connectReadOnly in db_sqlite.js.) With `role`, Postgres runs the transaction as that
+ * role (SET LOCAL ROLE). SQLite has no roles; `hide` ({ table: [column, ...] }) makes its
+ * connection read those tables without the columns.
+ */
+export async function withReadOnlyTransaction(fn, { timeoutMs = 5000, role = null, hide = {} } = {}) {
+  const client = pool.connectReadOnly ? await pool.connectReadOnly({ timeoutMs, hide }) : await pool.connect();
+  const txQuery = dialectQuery((text, params = []) => client.query(text, params));
+
+  try {
+    await client.query("BEGIN READ ONLY");
+    await client.query(`SET LOCAL statement_timeout = ${Math.max(1, Math.trunc(Number(timeoutMs) || 5000))}`);
+    if (role && DB_DIALECT === "postgres") await client.query(`SET LOCAL ROLE "${String(role).replaceAll('"', '""')}"`);
+    return await fn(txQuery);
+  } finally {
+    await client.query("ROLLBACK").catch(() => {});
+    client.release();
+  }
+}
+
+// ---- schema migrations ----
+// migrations/NNN_name.js export up(query); each runs in its own transaction and is
+// recorded in schema_migrations. Applied files must never be edited: add a new one.
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const MIGRATION_FILE = /^(\d{3,})_([\w-]+)\.js$/;
+
+// pg_advisory_xact_lock key shared by every instance pointed at the same database
+const MIGRATION_LOCK_KEY = 4_207_611_001;
+
+export function listMigrationFiles(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir)
+    .map((file) => ({ file, m: MIGRATION_FILE.exec(file) }))
+    .filter((x) => x.m)
+    .map(({ file, m }) => {
+      const full = path.join(dir, file);
+      return {
+        version: Number(m[1]),
+        name: m[2],
+        file: full,
+        checksum: crypto.createHash("sha256").update(fs.readFileSync(full)).digest("hex")
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < files.length; i++) {
+    if (files[i].version === files[i - 1].version) {
+      throw new Error(`Duplicate migration version ${files[i].version}: ${path.basename(files[i - 1].file)}, ${path.basename(files[i].file)}`);
+    }
+  }
+  return files;
+}
+
+async function ensureMigrationsTable(q) {
+  await q(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
       name TEXT NOT NULL,
-      note TEXT DEFAULT '',
-      status TEXT NOT NULL DEFAULT 'PENDING',
-      created_at BIGINT NOT NULL,
-      updated_at BIGINT NOT NULL
+      checksum TEXT NOT NULL,
+      applied_at BIGINT NOT NULL,
+      duration_ms INT NOT NULL
     );
   `);
+}
 
-  await query(`
-    CREATE TABLE IF NOT EXISTS flats (
-      flat_id TEXT PRIMARY KEY,
-      status TEXT NOT NULL DEFAULT 'ACTIVE',
-      pin_hash TEXT,
-      password_hash TEXT,
-      strike_count INT NOT NULL DEFAULT 0,
-      ban_until BIGINT,
-      requires_admin_revoke BOOLEAN NOT NULL DEFAULT FALSE,
-      created_at BIGINT NOT NULL,
-      updated_at BIGINT NOT NULL,
-      last_login_at BIGINT
-    );
-  `);
+async function appliedMigrations(q) {
+  const r = await q(`SELECT version, name, checksum, applied_at, duration_ms FROM schema_migrations ORDER BY version`);
+  return new Map(r.rows.map((row) => [Number(row.version), row]));
+}
 
-  await query(`
-    CREATE TABLE IF NOT EXISTS setup_codes (
-      id BIGSERIAL PRIMARY KEY,
-      flat_id TEXT NOT NULL REFERENCES flats(flat_id) ON DELETE CASCADE,
-      code_hash TEXT NOT NULL,
-      expires_at BIGINT NOT NULL,
-      used_at BIGINT,
-      created_at BIGINT NOT NULL
-    );
-  `);
+/**
+ * Every known migration with its state: "applied", "pending", "changed" (the file no
+ * longer matches what ran) or "missing" (recorded in the database, file gone).
+ */
+export async function migrationStatus() {
+  await ensureMigrationsTable(query);
+  const applied = await appliedMigrations(query);
+  const files = listMigrationFiles();
 
-  await query(`
-    CREATE TABLE IF NOT EXISTS admin_audit (
-      id BIGSERIAL PRIMARY KEY,
-      action TEXT NOT NULL,
-      meta_json TEXT,
-      created_at BIGINT NOT NULL
-    );
-  `);
+  const out = files.map((f) => {
+    const row = applied.get(f.version);
+    return {
+      version: f.version,
+      name: f.name,
+      state: !row ? "pending" : row.checksum === f.checksum ? "applied" : "changed",
+      applied_at: row ? Number(row.applied_at) : null
+    };
+  });
+
+  for (const [version, row] of applied) {
+    if (!files.some((f) => f.version === version)) {
+      out.push({ version, name: row.name, state: "missing", applied_at: Number(row.applied_at) });
+    }
+  }
+
+  return out.sort((a, b) => a.version - b.version);
+}
+
+// Transaction-level, so it holds on the backend that runs the transaction even behind a
+// transaction-mode pooler (Supabase :6543) and is released by COMMIT/ROLLBACK. SQLite has
+// no advisory locks; its BEGIN (IMMEDIATE, see db_sqlite.js) takes the database write lock.
+async function lockMigrations(q, log) {
+  if (DB_DIALECT !== "postgres") return;
+  const got = await q(`SELECT pg_try_advisory_xact_lock($1) AS ok`, [MIGRATION_LOCK_KEY]);
+  if (got.rows[0].ok) return;
+  log("[DB] another instance is migrating; waiting for its lock");
+  await q(`SELECT pg_advisory_xact_lock($1)`, [MIGRATION_LOCK_KEY]);
+}
+
+/**
+ * Applies pending migrations in version order. Each runs in its own transaction that first
+ * takes the migration lock and re-checks schema_migrations, so a second instance booting at
+ * the same time waits and then skips what the first applied.
+ * Returns { applied: [{ version, name, ms }] }. A failing migration rolls back and throws.
+ */
+export async function migrate({ log = console.log } = {}) {
+  const files = listMigrationFiles();
+  const client = await pool.connect();
+  const q = dialectQuery((text, params = []) => client.query(text, params));
+
+  try {
+    try {
+      await q("BEGIN");
+      await lockMigrations(q, log);
+      await ensureMigrationsTable(q);
+      await q("COMMIT");
+    } catch (e) {
+      await q("ROLLBACK").catch(() => {});
+      throw e;
+    }
+
+    const applied = await appliedMigrations(q);
+    const done = [];
 
-  await query(`CREATE INDEX IF NOT EXISTS idx_flat_requests_status ON flat_requests(status);`);
-  await query(`CREATE INDEX IF NOT EXISTS idx_setup_codes_flat_id ON setup_codes(flat_id);`);
-  await query(`CREATE INDEX IF NOT EXISTS idx_setup_codes_expires ON setup_codes(expires_at);`);
+    for (const f of files) {
+      const row = applied.get(f.version);
+      if (row) {
+        if (row.checksum !== f.checksum) log(`[DB] migration ${path.basename(f.file)} changed after it was applied`);
+        continue;
+      }
+
+      const { up } = await import(pathToFileURL(f.file).href);
+      if (typeof up !== "function") throw new Error(`Migration ${path.basename(f.file)} has no up() export`);
+
+      const started = Date.now();
+      try {
+        await q("BEGIN");
+        await lockMigrations(q, log);
+        if ((await q(`SELECT 1 FROM schema_migrations WHERE version = $1`, [f.version])).rows.length) {
+          await q("ROLLBACK");
+          continue;
+        }
+        await up(q);
+        await q(
+          `INSERT INTO schema_migrations (version, name, checksum, applied_at, duration_ms) VALUES ($1, $2, $3, $4, $5)`,
+          [f.version, f.name, f.checksum, Date.now(), Date.now() - started]
+        );
+        await q("COMMIT");
+      } catch (e) {
+        await q("ROLLBACK").catch(() => {});
+        throw new Error(`Migration ${path.basename(f.file)} failed: ${e?.message || e}`);
+      }
+
+      const ms = Date.now() - started;
+      log(`[DB] applied migration ${path.basename(f.file)} (${ms} ms)`);
+      done.push({ version: f.version, name: f.name, ms });
+    }
+
+    return { applied: done };
+  } finally {
+    client.release();
+  }
 }
@@ -0,0 +1,333 @@
+import Database from "better-sqlite3";
+import { fork } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// SQLite backend behind the same surface db_pg.js gets from pg's Pool: query(text, params)
+// resolving to { rows, rowCount, fields }, and connect() handing out a client for transactions.
+// The app's SQL is written for Postgres; translateSql() rewrites the handful of
+// Postgres-only spellings it uses. Anything else is left for SQLite to reject loudly.
+
+// Postgres SQLSTATEs the app (and pg users generally) look at, keyed by SQLite extended code
+const SQLSTATE = {
+  SQLITE_CONSTRAINT_UNIQUE: "23505",
+  SQLITE_CONSTRAINT_PRIMARYKEY: "23505",
+  SQLITE_CONSTRAINT_FOREIGNKEY: "23503",
+  SQLITE_CONSTRAINT_NOTNULL: "23502",
+  SQLITE_CONSTRAINT_CHECK: "23514",
+  SQLITE_READONLY: "25006"
+};
+
+const REWRITES = [
+  [/\bBIGSERIAL\s+PRIMARY\s+KEY\b/gi, "INTEGER PRIMARY KEY AUTOINCREMENT"],
+  // a version-tracked migration only ever runs once, so the guard is not needed
+  [/\bADD\s+COLUMN\s+IF\s+NOT\s+EXISTS\b/gi, "ADD COLUMN"],
+  // `x = ANY($n)` with an array parameter; arrays are bound as JSON (see bindParams)
+  [/=\s*ANY\s*\(\s*(\$\d+)\s*\)/gi, "IN (SELECT value FROM json_each($1))"],
+  [/::[a-z_]+(\[\])?/gi, ""],
+  // no row locks in SQLite; BEGIN IMMEDIATE already holds the database write lock
+  [/\s+FOR\s+UPDATE\b/gi, ""],
+  [/\bILIKE\b/gi, "LIKE"], // SQLite's LIKE is already case-insensitive for ASCII
+  [/\bLEAST\s*\(/gi, "MIN("],
+  [/\bGREATEST\s*\(/gi, "MAX("]
+];
+
+// String literals, quoted identifiers and comments: the rewrites leave these alone, so
+// e.g. a console `WHERE note = 'x::y'` keeps its value
+const SQL_QUOTED = /'(?:[^']|'')*'?|"(?:[^"]|"")*"?|--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/g;
+
+export function translateSql(text) {
+  const src = String(text);
+  const rewrite = (code) => REWRITES.reduce((out, [re, to]) => out.replace(re, to), code);
+  let out = "";
+  let last = 0;
+  for (const m of src.matchAll(SQL_QUOTED)) {
+    out += rewrite(src.slice(last, m.index)) + m[0];
+    last = m.index + m[0].length;
+  }
+  return out + rewrite(src.slice(last));
+}
+
+// $1..$n are SQLite named parameters "1".."n"; SQLite cannot bind booleans, arrays or objects
+function bindParams(params) {
+  const out = {};
+  params.forEach((v, i) => {
+    let b = v === undefined ? null : v;
+    if (typeof b === "boolean") b = b ? 1 : 0;
+    else if (b instanceof Date) b = b.getTime();
+    else if (b !== null && typeof b === "object" && !Buffer.isBuffer(b)) b = JSON.stringify(b);
+    out[i + 1] = b;
+  });
+  return out;
+}
+
+function pgError(e) {
+  if (e && typeof e.code === "string" && SQLSTATE[e.code]) {
+    e.sqlite_code = e.code;
+    e.code = SQLSTATE[e.code];
+  }
+  return e;
+}
+
+// Transaction control statements the app sends as Postgres spells them
+function control(db, text) {
+  const t = String(text).trim().replace(/;$/, "").toUpperCase();
+
+  if (t === "BEGIN") {
+    // take the write lock up front so two processes cannot deadlock upgrading a read lock
+    db.exec("BEGIN IMMEDIATE");
+    return true;
+  }
+  if (t === "BEGIN READ ONLY") {
+    db.exec("BEGIN");
+    db.pragma("query_only = ON");
+    return true;
+  }
+  if (t === "COMMIT" || t === "ROLLBACK") {
+    try {
+      if (db.inTransaction) db.exec(t);
+    } finally {
+      db.pragma("query_only = OFF");
+    }
+    return true;
+  }
+  // better-sqlite3 cannot interrupt a running statement; timeouts are enforced by
+  // connectReadOnly() killing the process that runs it
+  if (t.startsWith("SET LOCAL STATEMENT_TIMEOUT")) return true;
+
+  return false;
+}
+
+// One statement on `db`, shaped like a pg result. Exported for db_sqlite_reader.js.
+export function runSql(db, text, params = [], prepare = (t) => db.prepare(translateSql(t))) {
+  try {
+    if (control(db, text)) return { rows: [], rowCount: 0, fields: [] };
+
+    const stmt = prepare(text);
+    const args = params.length ? [bindParams(params)] : [];
+
+    if (!stmt.reader) {
+      const info = stmt.run(...args);
+      return { rows: [], rowCount: info.changes, fields: [] };
+    }
+
+    const columns = stmt.columns();
+    const bools = columns.filter((c) => /^bool/i.test(c.type || "")).map((c) => c.name);
+    const rows = stmt.all(...args);
+    for (const row of rows) {
+      for (const c of bools) if (row[c] !== null) row[c] = Boolean(row[c]);
+    }
+    return { rows, rowCount: rows.length, fields: columns.map((c) => ({ name: c.name })) };
+  } catch (e) {
+    throw pgError(e);
+  }
+}
+
+const READER = fileURLToPath(new URL("./db_sqlite_reader.js", import.meta.url));
+
+// Postgres reports statement_timeout as 57014 (query_canceled)
+function statementTimeout(timeoutMs) {
+  return Object.assign(new Error(`canceling statement due to statement timeout (${timeoutMs} ms)`), { code: "57014" });
+}
+
+/**
+ * A client on its own read-only connection in a child process, for statements that may
+ * run away (the SQL console): better-sqlite3 is synchronous, so in this process such a
+ * statement would stall every request. A statement still running after timeoutMs gets
+ * the process killed and rejects with 57014, as statement_timeout does on Postgres.
+ * `hide` ({ table: [column, ...] }) is handed to db_sqlite_reader.js.
+ */
+async function connectReader(file, { timeoutMs, hide }) {
+  const child = fork(READER, [file, JSON.stringify(hide)], { serialization: "advanced", stdio: ["ignore", "inherit", "inherit", "ipc"] });
+  const pending = new Map();
+  let nextId = 0;
+
+  // start-up (loading the driver, opening the file) does not count against the first statement
+  await new Promise((resolve, reject) => {
+    child.once("message", (m) => (m?.ready ? resolve() : reject(new Error("read-only connection failed to start"))));
+    child.once("exit", () => reject(new Error("read-only connection failed to start")));
+  });
+
+  const failAll = (e) => {
+    for (const p of pending.values()) p.reject(e);
+    pending.clear();
+  };
+  child.on("message", ({ id, result, error } = {}) => {
+    const p = pending.get(id);
+    if (!p) return;
+    pending.delete(id);
+    if (error) p.reject(Object.assign(new Error(error.message), { code: error.code }));
+    else p.resolve(result);
+  });
+  child.on("error", failAll);
+  child.on("exit", () => failAll(new Error("read-only connection closed")));
+
+  return {
+    query(text, params = []) {
+      if (!child.connected) return Promise.reject(new Error("read-only connection closed"));
+      return new Promise((resolve, reject) => {
+        const id = ++nextId;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(statementTimeout(timeoutMs));
+          child.kill("SIGKILL");
+        }, timeoutMs);
+        pending.set(id, {
+          resolve: (r) => { clearTimeout(timer); resolve(r); },
+          reject: (e) => { clearTimeout(timer); reject(e); }
+        });
+        child.send({ id, text, params });
+      });
+    },
+    release() {
+      if (child.exitCode === null && child.signalCode === null) child.kill();
+    }
+  };
+}
+
+/**
+ * Opens (creating if needed) the database file and returns a pg-Pool-shaped object.
+ * SQLite has one writer and better-sqlite3 is synchronous, so there is one connection:
+ * connect() waits for the previous client's release(), and pool.query() waits for an
+ * open transaction to finish. Never call pool.query() while holding a client.
+ */
+export function createSqlitePool(file) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  const db = new Database(file);
+  if (file !== ":memory:") db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.pragma("busy_timeout = 5000");
+
+  const statements = new Map();
+  function prepare(text) {
+    let stmt = statements.get(text);
+    if (!stmt) {
+      stmt = db.prepare(translateSql(text));
+      if (statements.size >= 500) statements.delete(statements.keys().next().value);
+      statements.set(text, stmt);
+    }
+    return stmt;
+  }
+
+  const run = (text, params) => runSql(db, text, params, prepare);
+
+  let tail = Promise.resolve();
+  function acquire() {
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    const ready = tail.then(() => release);
+    tail = tail.then(() => held);
+    return ready;
+  }
+
+  return {
+    dialect: "sqlite",
+    db,
+    // nothing but this process can open it, so no connectReadOnly() either
+    inMemory: file === ":memory:",
+
+    async query(text, params = []) {
+      const release = await acquire();
+      try {
+        return run(text, params);
+      } finally {
+        release();
+      }
+    },
+
+    async connect() {
+      const release = await acquire();
+      let released = false;
+      return {
+        query: async (text, params = []) => run(text, params),
+        release() {
+          if (released) return;
+          released = true;
+          if (db.inTransaction) db.exec("ROLLBACK");
+          release();
+        }
+      };
+    },
+
+    // see connectReader(); an in-memory database cannot be opened from another process
+    async connectReadOnly({ timeoutMs = 5000, hide = {} } = {}) {
+      if (file === ":memory:") {
+        throw Object.assign(new Error("read-only connections need a database file, not :memory:"), { code: "0A000" });
+      }
+      return connectReader(path.resolve(file), { timeoutMs, hide });
+    },
+
+    async end() {
+      const release = await acquire();
+      db.close();
+      release();
+    }
+  };
+}
+
+// ---- sessions ----
+
+const SESSION_PRUNE_MS = 15 * 60_000;
+
+/**
+ * express-session store on the SQLite pool, the counterpart of connect-pg-simple:
+ *   const SqliteSession = sqliteSession(session);
+ *   new SqliteSession({ pool, tableName: "admin_sessions" })
+ */
+export function sqliteSession(session) {
+  const Store = session.Store;
+
+  return class SqliteSessionStore extends Store {
+    constructor({ pool, tableName = "session", ttlMs = 86_400_000 } = {}) {
+      super();
+      this.pool = pool;
+      this.table = `"${String(tableName).replaceAll('"', '""')}"`;
+      this.ttlMs = ttlMs;
+      this.ready = pool.query(
+        `CREATE TABLE IF NOT EXISTS ${this.table} (sid TEXT PRIMARY KEY, sess TEXT NOT NULL, expire BIGINT NOT NULL)`
+      );
+      this.pruneTimer = setInterval(() => this.prune().catch(() => {}), SESSION_PRUNE_MS);
+      this.pruneTimer.unref();
+    }
+
+    expiry(sess) {
+      const exp = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+      return Number.isFinite(exp) ? exp : Date.now() + this.ttlMs;
+    }
+
+    async prune() {
+      await this.ready;
+      await this.pool.query(`DELETE FROM ${this.table} WHERE expire < $1`, [Date.now()]);
+    }
+
+    get(sid, cb) {
+      this.ready
+        .then(() => this.pool.query(`SELECT sess FROM ${this.table} WHERE sid = $1 AND expire >= $2`, [sid, Date.now()]))
+        .then((r) => cb(null, r.rows[0] ? JSON.parse(r.rows[0].sess) : null), cb);
+    }
+
+    set(sid, sess, cb = () => {}) {
+      this.ready
+        .then(() => this.pool.query(
+          `INSERT INTO ${this.table} (sid, sess, expire) VALUES ($1, $2, $3)
+           ON CONFLICT (sid) DO UPDATE SET sess = $2, expire = $3`,
+          [sid, JSON.stringify(sess), this.expiry(sess)]
+        ))
+        .then(() => cb(null), cb);
+    }
+
+    touch(sid, sess, cb = () => {}) {
+      this.ready
+        .then(() => this.pool.query(`UPDATE ${this.table} SET expire = $2 WHERE sid = $1`, [sid, this.expiry(sess)]))
+        .then(() => cb(null), cb);
+    }
+
+    destroy(sid, cb = () => {}) {
+      this.ready
+        .then(() => this.pool.query(`DELETE FROM ${this.table} WHERE sid = $1`, [sid]))
+        .then(() => cb(null), cb);
+    }
+  };
+}
@@ -0,0 +1,31 @@
+import Database from "better-sqlite3";
+import { runSql } from "./db_sqlite.js";
+
+// Child process behind db_sqlite.js connectReadOnly(): one read-only connection to the
+// file in argv, answering { id, text, params } messages with { id, result } or { id, error }.
+// The parent kills it when a statement overruns its timeout.
+
+const db = new Database(process.argv[2], { readonly: true, fileMustExist: true });
+db.pragma("busy_timeout = 5000");
+
+// argv[3] is { table: [column, ...] } to keep out of reach. A temp view wins over the table
+// of the same name for every unqualified reference; only main.<table> gets past it.
+const ident = (name) => `"${String(name).replaceAll('"', '""')}"`;
+for (const [table, hidden] of Object.entries(JSON.parse(process.argv[3] || "{}"))) {
+  const cols = db.prepare(`SELECT name FROM pragma_table_info(?)`).pluck().all(table).filter((c) => !hidden.includes(c));
+  if (cols.length) db.exec(`CREATE TEMP VIEW ${ident(table)} AS SELECT ${cols.map(ident).join(", ")} FROM main.${ident(table)}`);
+}
+process.send({ ready: true });
+
+process.on("message", ({ id, text, params }) => {
+  try {
+    process.send({ id, result: runSql(db, text, params) });
+  } catch (e) {
+    process.send({ id, error: { message: e?.message || String(e), code: e?.code } });
+  }
+});
+
+process.on("disconnect", () => {
+  db.close();
+  process.exit(0);
+});
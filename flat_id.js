@@ -0,0 +1,92 @@
+// Flat ID layout: <block><separator><floor><unit>, e.g. "A-502" = block A, floor 5, unit 02.
+// Every route that takes a flat_id runs it through parseFlatId so "A502", "a 502" and
+// "A-502" all name the same flat, and IDs outside the building's layout are refused.
+
+const SEPARATORS = ["", "-", "/", "_", ".", " "];
+
+// "1-20" -> { min: 1, max: 20 }
+function rangeOpt(value, fallback) {
+  const m = /^\s*(\d+)\s*-\s*(\d+)\s*$/.exec(String(value ?? ""));
+  if (!m) return fallback;
+  return { min: Number(m[1]), max: Number(m[2]) };
+}
+
+export const FLAT_ID_DEFAULTS = {
+  // empty = any 1-3 letter block name
+  blocks: String(process.env.FLAT_ID_BLOCKS || "")
+    .split(",")
+    .map((b) => b.trim().toUpperCase())
+    .filter(Boolean),
+  floors: rangeOpt(process.env.FLAT_ID_FLOORS, { min: 0, max: 99 }),
+  units: rangeOpt(process.env.FLAT_ID_UNITS, { min: 1, max: 99 }),
+  unitDigits: Number(process.env.FLAT_ID_UNIT_DIGITS || 2),
+  separator: process.env.FLAT_ID_SEPARATOR ?? "-"
+};
+
+export function flatIdSchema(opts = {}) {
+  const s = { ...FLAT_ID_DEFAULTS, ...opts };
+
+  if (!SEPARATORS.includes(s.separator)) throw new Error(`FLAT_ID_SEPARATOR must be one of ${JSON.stringify(SEPARATORS)}`);
+  if (!Number.isInteger(s.unitDigits) || s.unitDigits < 1 || s.unitDigits > 3) throw new Error("FLAT_ID_UNIT_DIGITS must be 1..3");
+  if (s.blocks.some((b) => !/^[A-Z]{1,3}$/.test(b))) throw new Error("FLAT_ID_BLOCKS must be 1-3 letter names, comma separated");
+  if (s.floors.min > s.floors.max) throw new Error("FLAT_ID_FLOORS must be low-high");
+  if (s.units.min > s.units.max || s.units.max >= 10 ** s.unitDigits) {
+    throw new Error("FLAT_ID_UNITS must be low-high and fit in FLAT_ID_UNIT_DIGITS");
+  }
+
+  return s;
+}
+
+export function formatFlatId({ block, floor, unit }, opts = {}) {
+  const s = flatIdSchema(opts);
+  return `${block}${s.separator}${floor}${String(unit).padStart(s.unitDigits, "0")}`;
+}
+
+/**
+ * Parses any common spelling of a flat ID ("a502", "A 502", "A-502", "A/502").
+ * Returns { ok, flat_id, block, floor, unit } with flat_id in canonical form,
+ * or { ok: false, error, input } with error one of
+ * BAD_FLAT_ID_FORMAT | UNKNOWN_BLOCK | FLOOR_OUT_OF_RANGE | UNIT_OUT_OF_RANGE.
+ */
+export function parseFlatId(raw, opts = {}) {
+  const s = flatIdSchema(opts);
+  const input = String(raw ?? "").trim();
+
+  const m = /^([A-Z]{1,3})[\s\-_./]*(\d+)$/.exec(input.toUpperCase());
+  if (!m || m[2].length <= s.unitDigits) return { ok: false, error: "BAD_FLAT_ID_FORMAT", input };
+
+  const block = m[1];
+  const floor = Number(m[2].slice(0, -s.unitDigits));
+  const unit = Number(m[2].slice(-s.unitDigits));
+
+  if (s.blocks.length && !s.blocks.includes(block)) return { ok: false, error: "UNKNOWN_BLOCK", input };
+  if (floor < s.floors.min || floor > s.floors.max) return { ok: false, error: "FLOOR_OUT_OF_RANGE", input };
+  if (unit < s.units.min || unit > s.units.max) return { ok: false, error: "UNIT_OUT_OF_RANGE", input };
+
+  return { ok: true, flat_id: formatFlatId({ block, floor, unit }, s), block, floor, unit };
+}
+
+// Canonical form, or null when the ID does not fit the layout
+export function canonicalFlatId(raw, opts = {}) {
+  const out = parseFlatId(raw, opts);
+  return out.ok ? out.flat_id : null;
+}
+
+// Block part of an ID ("A" for "A-502"), or null when the ID does not fit the layout
+export function blockOf(raw, opts = {}) {
+  const out = parseFlatId(raw, opts);
+  return out.ok ? out.block : null;
+}
+
+// Human summary for the dashboard hint and startup log
+export function describeFlatIdSchema(opts = {}) {
+  const s = flatIdSchema(opts);
+  return {
+    example: formatFlatId({ block: s.blocks[0] || "A", floor: Math.max(s.floors.min, Math.min(5, s.floors.max)), unit: s.units.min }, s),
+    blocks: s.blocks.length ? s.blocks : null,
+    floors: s.floors,
+    units: s.units,
+    unit_digits: s.unitDigits,
+    separator: s.separator
+  };
+}
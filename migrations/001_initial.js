@@ -0,0 +1,156 @@
+// Baseline: the schema as the old CREATE/ALTER ... IF NOT EXISTS migrate() left it.
+// Every statement is idempotent so deployments that predate schema_migrations
+// record this version without changes. Later migrations can assume this shape.
+
+export async function up(query) {
+  await query(`
+    CREATE TABLE IF NOT EXISTS flat_requests (
+      id BIGSERIAL PRIMARY KEY,
+      flat_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      note TEXT DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS flats (
+      flat_id TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'ACTIVE',
+      pin_hash TEXT,
+      password_hash TEXT,
+      strike_count INT NOT NULL DEFAULT 0,
+      ban_until BIGINT,
+      requires_admin_revoke BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      last_login_at BIGINT
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS setup_codes (
+      id BIGSERIAL PRIMARY KEY,
+      flat_id TEXT NOT NULL REFERENCES flats(flat_id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      used_at BIGINT,
+      created_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS admin_audit (
+      id BIGSERIAL PRIMARY KEY,
+      action TEXT NOT NULL,
+      meta_json TEXT,
+      created_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS admins (
+      id BIGSERIAL PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      last_login_at BIGINT
+    );
+  `);
+
+  // why a request was rejected (category is one of REJECT_CATEGORIES in admin_db_pg.js)
+  await query(`ALTER TABLE flat_requests ADD COLUMN IF NOT EXISTS reject_category TEXT;`);
+  await query(`ALTER TABLE flat_requests ADD COLUMN IF NOT EXISTS reject_reason TEXT;`);
+
+  // setup code lifecycle beyond used/expired
+  await query(`ALTER TABLE setup_codes ADD COLUMN IF NOT EXISTS created_by TEXT;`);
+  await query(`ALTER TABLE setup_codes ADD COLUMN IF NOT EXISTS superseded_at BIGINT;`);
+  await query(`ALTER TABLE setup_codes ADD COLUMN IF NOT EXISTS revoked_at BIGINT;`);
+  await query(`ALTER TABLE setup_codes ADD COLUMN IF NOT EXISTS revoked_by TEXT;`);
+
+  // login throttling: one row per "ip:<addr>" / "user:<username>" key
+  await query(`
+    CREATE TABLE IF NOT EXISTS admin_login_attempts (
+      key TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      strike_count INT NOT NULL DEFAULT 0,
+      last_failed_at BIGINT,
+      locked_until BIGINT,
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
+  // accounts created before roles existed had full access, so they backfill as superadmin
+  await query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'superadmin';`);
+
+  // TOTP 2FA: pending secret lives until the first code verifies, then moves to totp_secret
+  await query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_secret TEXT;`);
+  await query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;`);
+  await query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;`);
+  await query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;`);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id BIGSERIAL PRIMARY KEY,
+      admin_id BIGINT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      used_at BIGINT,
+      created_at BIGINT NOT NULL
+    );
+  `);
+
+  // admin_audit started life as (action, meta_json); older deployments need the new columns
+  await query(`ALTER TABLE admin_audit ADD COLUMN IF NOT EXISTS actor TEXT;`);
+  await query(`ALTER TABLE admin_audit ADD COLUMN IF NOT EXISTS ip TEXT;`);
+  await query(`ALTER TABLE admin_audit ADD COLUMN IF NOT EXISTS flat_id TEXT;`);
+  await query(`ALTER TABLE admin_audit ADD COLUMN IF NOT EXISTS before_json TEXT;`);
+  await query(`ALTER TABLE admin_audit ADD COLUMN IF NOT EXISTS after_json TEXT;`);
+
+  // towers/blocks; a block's code is the block part of flat IDs ("A" in "A-502", see flat_id.js)
+  await query(`
+    CREATE TABLE IF NOT EXISTS buildings (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      created_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS blocks (
+      code TEXT PRIMARY KEY,
+      building_id BIGINT REFERENCES buildings(id) ON DELETE SET NULL,
+      name TEXT NOT NULL DEFAULT '',
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
+  // filled from flat_id on insert; adminBackfillBlocks() covers rows from before the column existed
+  await query(`ALTER TABLE flats ADD COLUMN IF NOT EXISTS block_code TEXT;`);
+  await query(`ALTER TABLE flat_requests ADD COLUMN IF NOT EXISTS block_code TEXT;`);
+
+  // named SELECTs for the superadmin SQL console
+  await query(`
+    CREATE TABLE IF NOT EXISTS admin_saved_queries (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      sql TEXT NOT NULL,
+      created_by TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    );
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_flat_requests_status ON flat_requests(status);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_flat_requests_block ON flat_requests(block_code);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_flats_block ON flats(block_code);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_setup_codes_flat_id ON setup_codes(flat_id);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_setup_codes_expires ON setup_codes(expires_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit(created_at);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_admin_audit_flat_id ON admin_audit(flat_id);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id);`);
+}
@@ -0,0 +1,66 @@
+// Role -> permission mapping for admin routes.
+// Permissions are "<area>:<action>" strings; routes ask for exactly one.
+
+export const PERMISSIONS = [
+  "monitor:view",
+  "live:view",
+  "audit:view",
+  "requests:view",
+  "requests:create",
+  "requests:approve",
+  "requests:reject",
+  "requests:reopen",
+  "flats:view",
+  "flats:disable",
+  "flats:revoke-ban",
+  "flats:import",
+  "flats:rename",
+  "setup-codes:create",
+  "setup-codes:revoke",
+  "admins:manage",
+  "buildings:manage",
+  "db:view",
+  "db:edit",
+  "db:console"
+];
+
+const VIEWER = [
+  "monitor:view",
+  "live:view",
+  "audit:view",
+  "requests:view",
+  "flats:view"
+];
+
+const OPERATOR = [
+  ...VIEWER,
+  "requests:create",
+  "requests:approve",
+  "requests:reject",
+  "requests:reopen",
+  "flats:disable",
+  "flats:revoke-ban",
+  "flats:import",
+  "setup-codes:create",
+  "setup-codes:revoke"
+];
+
+export const ROLE_PERMISSIONS = {
+  viewer: VIEWER,
+  operator: OPERATOR,
+  superadmin: PERMISSIONS
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export function isRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+export function permissionsFor(role) {
+  return isRole(role) ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+export function roleHas(role, permission) {
+  return isRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
@@ -69,11 +69,18 @@
   }
 
   // ---------- API helper (handles HTML/redirect safety) ----------
+  // Set from /admin/api/me; every non-GET call must echo it back.
+  let csrfToken = '';
+
   async function api(url, opts = {}) {
+    const method = String(opts.method || 'GET').toUpperCase();
+    const headers = { 'Content-Type': 'application/json', ...(opts.headers || {}) };
+    if (method !== 'GET' && method !== 'HEAD' && csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
     const res = await fetch(url, {
       credentials: 'same-origin',
-      headers: { 'Content-Type': 'application/json' },
-      ...opts
+      ...opts,
+      headers
     });
 
     const ct = (res.headers.get('content-type') || '').toLowerCase();
@@ -96,6 +103,37 @@
     return data;
   }
 
+  // ---------- permissions (UI only; the server enforces the same checks) ----------
+  let me = null;
+  let myTotp = null;
+  let myPermissions = new Set();
+  let consoleUnavailable = null;
+
+  function can(permission) {
+    return myPermissions.has(permission);
+  }
+
+  function applyPermissions() {
+    document.querySelectorAll('[data-perm]').forEach(el => {
+      el.hidden = !can(el.getAttribute('data-perm'));
+    });
+  }
+
+  async function loadMe() {
+    try {
+      const data = await api('/admin/api/me', { method: 'GET' });
+      me = data.admin;
+      csrfToken = data.csrf_token || '';
+      if ($('logoutCsrf')) $('logoutCsrf').value = csrfToken;
+      myTotp = data.totp || null;
+      myPermissions = new Set(data.permissions || []);
+      consoleUnavailable = data.sql_console?.unavailable || null;
+      if ($('meName')) $('meName').textContent = me?.username ? `Signed in as ${me.username} (${me.role})` : '';
+      if ($('newFlatId') && data.flat_id_schema?.example) $('newFlatId').placeholder = `Flat ID (e.g. ${data.flat_id_schema.example})`;
+    } catch { }
+    applyPermissions();
+  }
+
   // ---------- Inline setup code rendering ----------
   // We keep per-row timers so they auto-clear when expired.
   const inlineTimers = new Map(); // key -> intervalId
@@ -181,8 +219,14 @@
         if (tab === 'requests') await loadRequests();
         if (tab === 'live') await loadLive();
         if (tab === 'flats') await loadFlats();
+        if (tab === 'audit') await loadAudit();
+        if (tab === 'admins') {
+          renderTotp();
+          await loadAdmins();
+          await loadLockouts();
+        }
         if (tab === 'db') {
-          if (!$('dbTableSelect')?.options?.length) initDbUI();
+          if (!$('dbTableSelect')?.options?.length && can('db:view')) initDbUI();
         }
       });
     });
@@ -253,15 +297,86 @@
     setStatus(level, text, icon);
   }
 
+  // ---------- paging + sorting (Requests / Flats) ----------
+  function makePager(sort, dir) {
+    return { limit: 50, offset: 0, total: 0, sort, dir };
+  }
+
+  function pagerParams(p) {
+    return { sort: p.sort, dir: p.dir, limit: String(p.limit), offset: String(p.offset) };
+  }
+
+  function renderPager(p, data, infoEl, rowCount) {
+    p.total = Number(data.total || 0);
+    p.offset = Number(data.offset || 0);
+    if (infoEl) infoEl.textContent = p.total ? `${p.offset + 1}-${p.offset + rowCount} / ${p.total}` : '-';
+  }
+
+  function renderSortHeaders(table, p) {
+    table?.querySelectorAll('th[data-sort]').forEach(th => {
+      th.classList.remove('sorted-asc', 'sorted-desc');
+      if (th.getAttribute('data-sort') === p.sort) th.classList.add(`sorted-${p.dir}`);
+    });
+  }
+
+  // header click: same column flips direction, new column starts ascending
+  function initSortablePager({ table, prev, next, pager, reload }) {
+    table?.querySelector('thead')?.addEventListener('click', (ev) => {
+      const th = ev.target.closest('th[data-sort]');
+      if (!th) return;
+      const col = th.getAttribute('data-sort');
+      pager.dir = pager.sort === col && pager.dir === 'asc' ? 'desc' : 'asc';
+      pager.sort = col;
+      pager.offset = 0;
+      reload();
+    });
+
+    prev?.addEventListener('click', () => {
+      if (pager.offset === 0) return;
+      pager.offset = Math.max(0, pager.offset - pager.limit);
+      reload();
+    });
+
+    next?.addEventListener('click', () => {
+      if (pager.offset + pager.limit >= pager.total) return;
+      pager.offset += pager.limit;
+      reload();
+    });
+  }
+
   // ---------- Requests ----------
+  const reqPager = makePager('created_at', 'desc');
+
+  const CONFLICT_LABELS = {
+    DUPLICATE_PENDING: 'Another pending request for this flat',
+    FLAT_ACTIVE: 'Flat already active with a password',
+    FLAT_DISABLED: 'Flat is disabled'
+  };
+
+  function fmtConflicts(r) {
+    return (r.conflicts || [])
+      .map(c => `<div class="small ${c === 'DUPLICATE_PENDING' ? 'alert-warn' : 'alert-crit'}" style="margin-top:4px;">${escapeHtml(CONFLICT_LABELS[c] || c)}</div>`)
+      .join('');
+  }
+
+  function requestParams() {
+    const params = new URLSearchParams({ status: $('reqStatus')?.value || 'PENDING' });
+    if ($('reqFlagged')?.checked) params.set('flagged', '1');
+    if ($('reqBlock')?.value) params.set('block', $('reqBlock').value);
+    return params;
+  }
+
   async function loadRequests() {
-    const status = $('reqStatus')?.value || 'PENDING';
     $('reqMsg').textContent = 'Loading...';
     $('reqMsg').classList.remove('err');
 
     try {
-      const data = await api(`/admin/api/requests?status=${encodeURIComponent(status)}`, { method: 'GET' });
+      const params = requestParams();
+      for (const [k, v] of Object.entries(pagerParams(reqPager))) params.set(k, v);
+      const data = await api(`/admin/api/requests?${params.toString()}`, { method: 'GET' });
       const rows = data.rows || [];
+      renderPager(reqPager, data, $('reqPageInfo'), rows.length);
+      renderSortHeaders($('reqTable'), reqPager);
       const tbody = $('reqTable').querySelector('tbody');
       tbody.innerHTML = '';
 
@@ -274,20 +389,30 @@
 
         // IMPORTANT: include a slot <div> for inline code in the actions cell
         tr.innerHTML = `
+          <td><input type="checkbox" data-sel="${r.id}" /></td>
           <td>${r.id}</td>
-          <td><b>${escapeHtml(r.flat_id)}</b></td>
+          <td><b>${escapeHtml(r.flat_id)}</b>${fmtConflicts(r)}</td>
           <td>${escapeHtml(r.name)}</td>
           <td>${escapeHtml(r.note || '')}</td>
-          <td><span class="pill ${pillClass}">${escapeHtml(r.status)}</span></td>
+          <td>
+            <span class="pill ${pillClass}">${escapeHtml(r.status)}</span>
+            ${fmtRejectReason(r)}
+          </td>
           <td>${fmtTime(r.created_at)}</td>
           <td>
             <div style="display:flex; gap:8px; flex-wrap:wrap; align-items:center;">
               ${r.status === 'PENDING'
             ? `
-                  <button class="btn btnPrimary" data-approve="${r.id}">Approve</button>
-                  <button class="btn btnDanger" data-reject="${r.id}">Reject</button>
+                  ${can('requests:approve') ? `<button class="btn btnPrimary" data-approve="${r.id}">Approve</button>` : ''}
+                  ${can('requests:approve') && can('setup-codes:create') ? `<button class="btn" data-approve-code="${r.id}">Approve + Code</button>` : ''}
+                  ${can('requests:reject') ? `<button class="btn btnDanger" data-reject="${r.id}">Reject</button>` : ''}
+                  ${can('requests:reject') && (r.conflicts || []).includes('DUPLICATE_PENDING')
+                ? `<button class="btn btnGhost" data-merge="${r.id}" title="Reject the other pending requests for this flat and keep this one">Merge duplicates here</button>`
+                : ''}
                 `
-            : `<button class="btn" data-setup="${escapeHtml(r.flat_id)}">Setup Code</button>`
+            : r.status === 'REJECTED'
+              ? (can('requests:reopen') ? `<button class="btn" data-reopen="${r.id}">Reopen</button>` : '')
+              : (can('setup-codes:create') ? `<button class="btn" data-setup="${escapeHtml(r.flat_id)}" data-req="${r.id}">Setup Code</button>` : '')
           }
             </div>
             <div id="req-code-${r.id}" style="margin-top:8px;"></div>
@@ -295,8 +420,9 @@
         `;
         tbody.appendChild(tr);
       }
+      syncBulkSelection($('reqTable'), $('reqSelectAll'), $('reqSelCount'));
 
-      $('reqMsg').textContent = rows.length ? `Showing ${rows.length} request(s).` : 'No requests found.';
+      $('reqMsg').textContent = rows.length ? `Showing ${rows.length} of ${reqPager.total} request(s).` : 'No requests found.';
     } catch (e) {
       $('reqMsg').textContent = `Error: ${e.message}`;
       $('reqMsg').classList.add('err');
@@ -319,7 +445,11 @@
 
     try {
       const out = await api('/admin/api/requests', { method: 'POST', body: JSON.stringify({ flat_id, name, note }) });
-      $('newReqMsg').textContent = `Created request #${out.id}`;
+      const conflicts = (out.conflicts || []).map(c => CONFLICT_LABELS[c] || c);
+      $('newReqMsg').textContent = conflicts.length
+        ? `Created request #${out.id}. Check: ${conflicts.join('; ')}`
+        : `Created request #${out.id}`;
+      $('newReqMsg').classList.toggle('err', conflicts.length > 0);
       $('newFlatId').value = '';
       $('newName').value = '';
       $('newNote').value = '';
@@ -336,20 +466,143 @@
 
     try {
       const out = await api(`/admin/api/requests/${id}/approve`, { method: 'POST' });
-      $('reqMsg').textContent = `Approved. Flat: ${out.flat_id}`;
+      $('reqMsg').textContent = out.flat_status === 'DISABLED'
+        ? `Approved. Flat ${out.flat_id} is DISABLED and was left disabled.`
+        : `Approved. Flat: ${out.flat_id}`;
+      await loadRequests();
+    } catch (e) {
+      $('reqMsg').textContent = `Error: ${e.message}`;
+      $('reqMsg').classList.add('err');
+    }
+  }
+
+  // Approves and issues the first setup code in one transaction; the code is shown in the row
+  async function approveWithCode(id, ttlMinutes = 60) {
+    $('reqMsg').textContent = 'Approving and issuing setup code...';
+    $('reqMsg').classList.remove('err');
+
+    try {
+      const out = await api(`/admin/api/requests/${id}/approve`, {
+        method: 'POST',
+        body: JSON.stringify({ issue_code: true, ttlMinutes })
+      });
+
+      if (!out.setup_code) {
+        $('reqMsg').textContent = `Request #${id} was already approved; no new code issued.`;
+        await loadRequests();
+        return;
+      }
+
       await loadRequests();
+      $('reqMsg').textContent = `Approved. Setup code issued for ${out.flat_id}`;
+      renderInlineCode({
+        slotEl: document.getElementById(`req-code-${id}`),
+        key: `req-${id}`,
+        code: out.setup_code.code,
+        expiresAt: out.setup_code.expires_at
+      });
     } catch (e) {
       $('reqMsg').textContent = `Error: ${e.message}`;
       $('reqMsg').classList.add('err');
     }
   }
 
+  async function mergeDuplicates(id) {
+    if (!confirm(`Keep request #${id} and reject the other pending requests for this flat as duplicates?`)) return;
+    $('reqMsg').textContent = 'Merging...';
+    $('reqMsg').classList.remove('err');
+
+    try {
+      const out = await api(`/admin/api/requests/${id}/merge-duplicates`, { method: 'POST' });
+      await loadRequests();
+      $('reqMsg').textContent = out.merged.length
+        ? `Merged ${out.merged.length} duplicate(s) into #${id}: ${out.merged.map(m => `#${m}`).join(', ')}`
+        : 'No other pending requests for this flat.';
+    } catch (e) {
+      $('reqMsg').textContent = `Error: ${e.message}`;
+      $('reqMsg').classList.add('err');
+    }
+  }
+
+  // Dry run first so the admin sees how many requests would go
+  async function autoRejectDuplicates() {
+    $('reqMsg').textContent = 'Checking for duplicates...';
+    $('reqMsg').classList.remove('err');
+
+    try {
+      const preview = await api('/admin/api/requests/auto-reject-duplicates?dry_run=1', { method: 'POST' });
+      if (!preview.rejected) { $('reqMsg').textContent = 'No duplicate pending requests.'; return; }
+
+      const flats = preview.groups.map(g => g.flat_id).join(', ');
+      if (!confirm(`Reject ${preview.rejected} duplicate request(s) across ${preview.groups.length} flat(s) (${flats})? The oldest request per flat is kept.`)) {
+        $('reqMsg').textContent = '';
+        return;
+      }
+
+      const out = await api('/admin/api/requests/auto-reject-duplicates?dry_run=0', { method: 'POST' });
+      await loadRequests();
+      $('reqMsg').textContent = `Rejected ${out.rejected} duplicate request(s).`;
+    } catch (e) {
+      $('reqMsg').textContent = `Error: ${e.message}`;
+      $('reqMsg').classList.add('err');
+    }
+  }
+
+  async function reopenRequest(id) {
+    $('reqMsg').textContent = 'Reopening...';
+    $('reqMsg').classList.remove('err');
+
+    try {
+      await api(`/admin/api/requests/${id}/reopen`, { method: 'POST' });
+      $('reqMsg').textContent = `Request #${id} is PENDING again.`;
+      await loadRequests();
+    } catch (e) {
+      $('reqMsg').textContent = `Error: ${e.message}`;
+      $('reqMsg').classList.add('err');
+    }
+  }
+
+  // Keep in sync with REJECT_CATEGORIES in admin_db_pg.js
+  const REJECT_CATEGORIES = [
+    ['DUPLICATE', 'Duplicate request'],
+    ['NOT_RESIDENT', 'Not a resident'],
+    ['WRONG_FLAT', 'Wrong flat'],
+    ['OTHER', 'Other (explain)']
+  ];
+
+  function fmtRejectReason(r) {
+    if (r.status !== 'REJECTED' || (!r.reject_category && !r.reject_reason)) return '';
+    const label = REJECT_CATEGORIES.find(([k]) => k === r.reject_category)?.[1] || r.reject_category || '';
+    return `<div class="small" style="margin-top:4px;">${escapeHtml(label)}${r.reject_reason ? `: ${escapeHtml(r.reject_reason)}` : ''}</div>`;
+  }
+
+  // Inline form in the row's slot: category + optional note, then confirm
+  function openRejectForm(id) {
+    const slot = document.getElementById(`req-code-${id}`);
+    if (!slot) return;
+
+    slot.innerHTML = `
+      <div style="display:flex; gap:8px; flex-wrap:wrap; align-items:center;">
+        <select data-reject-cat>
+          ${REJECT_CATEGORIES.map(([k, label]) => `<option value="${k}">${escapeHtml(label)}</option>`).join('')}
+        </select>
+        <input data-reject-reason placeholder="Reason (optional unless Other)" maxlength="500" style="min-width:200px;" />
+        <button class="btn btnDanger" data-reject-confirm="${id}">Confirm reject</button>
+        <button class="btn btnGhost" data-reject-cancel="${id}">Cancel</button>
+      </div>
+    `;
+  }
+
   async function rejectRequest(id) {
+    const slot = document.getElementById(`req-code-${id}`);
+    const category = slot?.querySelector('[data-reject-cat]')?.value || '';
+    const reason = (slot?.querySelector('[data-reject-reason]')?.value || '').trim();
+
     $('reqMsg').textContent = 'Rejecting...';
     $('reqMsg').classList.remove('err');
 
     try {
-      await api(`/admin/api/requests/${id}/reject`, { method: 'POST' });
+      await api(`/admin/api/requests/${id}/reject`, { method: 'POST', body: JSON.stringify({ category, reason }) });
       $('reqMsg').textContent = `Rejected request #${id}`;
       await loadRequests();
     } catch (e) {
@@ -389,16 +642,29 @@
       if (!btn) return;
 
       const approveId = btn.getAttribute('data-approve');
+      const approveCodeId = btn.getAttribute('data-approve-code');
       const rejectId = btn.getAttribute('data-reject');
+      const rejectConfirm = btn.getAttribute('data-reject-confirm');
+      const rejectCancel = btn.getAttribute('data-reject-cancel');
+      const reopenId = btn.getAttribute('data-reopen');
+      const mergeId = btn.getAttribute('data-merge');
       const setupFlat = btn.getAttribute('data-setup');
 
       if (approveId) { await approveRequest(Number(approveId)); return; }
-      if (rejectId) { await rejectRequest(Number(rejectId)); return; }
+      if (approveCodeId) { await approveWithCode(Number(approveCodeId)); return; }
+      if (rejectId) { openRejectForm(Number(rejectId)); return; }
+      if (rejectConfirm) { await rejectRequest(Number(rejectConfirm)); return; }
+      if (reopenId) { await reopenRequest(Number(reopenId)); return; }
+      if (mergeId) { await mergeDuplicates(Number(mergeId)); return; }
+      if (rejectCancel) {
+        const slot = document.getElementById(`req-code-${rejectCancel}`);
+        if (slot) slot.innerHTML = '';
+        return;
+      }
 
       if (setupFlat) {
-        // Find the request ID from the same row so we can render inline in that row
-        const tr = btn.closest('tr');
-        const requestId = tr?.children?.[0]?.textContent ? Number(tr.children[0].textContent) : null;
+        // Request ID of the same row so we can render inline in that row
+        const requestId = Number(btn.getAttribute('data-req'));
         if (!requestId) {
           $('reqMsg').textContent = 'Error: cannot detect request row id';
           $('reqMsg').classList.add('err');
@@ -410,15 +676,370 @@
     });
   }
 
+  // ---------- Bulk actions ----------
+  // Selection is per page: checkboxes live in the rendered rows and reset on every reload.
+  function selectedIn(table) {
+    return [...table.querySelectorAll('tbody input[data-sel]:checked')].map(cb => cb.getAttribute('data-sel'));
+  }
+
+  function syncBulkSelection(table, allBox, countEl) {
+    const boxes = table.querySelectorAll('tbody input[data-sel]');
+    const n = selectedIn(table).length;
+    if (allBox) allBox.checked = boxes.length > 0 && n === boxes.length;
+    if (countEl) countEl.textContent = `${n} selected`;
+  }
+
+  function initBulkSelection(table, allBox, countEl) {
+    allBox?.addEventListener('change', () => {
+      table.querySelectorAll('tbody input[data-sel]').forEach(cb => { cb.checked = allBox.checked; });
+      syncBulkSelection(table, allBox, countEl);
+    });
+    table.querySelector('tbody')?.addEventListener('change', (ev) => {
+      if (ev.target.matches('input[data-sel]')) syncBulkSelection(table, allBox, countEl);
+    });
+  }
+
+  // Failures and any issued setup codes, per item; codes are only shown here once
+  function renderBulkResults(el, out, itemKey) {
+    const failed = out.results.filter(r => !r.ok);
+    const codes = out.results
+      .map(r => ({ item: r[itemKey], flat_id: r.flat_id, code: r.code || r.setup_code?.code, expires_at: r.expires_at || r.setup_code?.expires_at }))
+      .filter(r => r.code);
+
+    const codeText = codes.map(c => `${c.flat_id}\t${c.code}`).join('\n');
+    el.innerHTML = `
+      ${failed.length ? `
+        <div class="small" style="margin-top:8px;"><b>Failed (${failed.length}):</b></div>
+        ${failed.map(r => `<div class="alert-crit">${escapeHtml(r[itemKey])}: ${escapeHtml(r.error || 'failed')}</div>`).join('')}
+      ` : ''}
+      ${codes.length ? `
+        <div class="row" style="margin-top:8px;">
+          <b>Setup codes (${codes.length})</b>
+          <button class="btn" data-copy-codes>Copy all</button>
+          <span class="small" style="margin-top:0;">Shown once. Copy them before leaving this page.</span>
+        </div>
+        <table style="margin-top:6px;">
+          <thead><tr><th>Flat</th><th>Code</th><th>Expires</th></tr></thead>
+          <tbody>
+            ${codes.map(c => `
+              <tr>
+                <td><b>${escapeHtml(c.flat_id)}</b></td>
+                <td style="font-family: ui-monospace, Menlo, Consolas, monospace; font-weight:800;">${escapeHtml(c.code)}</td>
+                <td>${fmtTime(c.expires_at)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+    `;
+    el.querySelector('[data-copy-codes]')?.addEventListener('click', () => copyText(codeText));
+  }
+
+  async function runRequestBulk(kind) {
+    const ids = selectedIn($('reqTable')).map(Number);
+    if (!ids.length) { $('reqMsg').textContent = 'Select at least one request.'; return; }
+
+    const body = kind === 'reject'
+      ? { action: 'reject', ids, category: $('reqBulkCategory').value, reason: $('reqBulkReason').value.trim() }
+      : { action: 'approve', ids, issue_code: kind === 'approve-code', ttlMinutes: 60 };
+    if (!confirm(`${kind === 'reject' ? 'Reject' : 'Approve'} ${ids.length} request(s)?`)) return;
+
+    $('reqMsg').textContent = 'Working...';
+    $('reqMsg').classList.remove('err');
+    $('reqBulkResults').innerHTML = '';
+
+    try {
+      const out = await api('/admin/api/requests/bulk', { method: 'POST', body: JSON.stringify(body) });
+      await loadRequests();
+      $('reqMsg').textContent = `Bulk ${out.action}: ${out.summary.succeeded} done, ${out.summary.failed} failed.`;
+      $('reqMsg').classList.toggle('err', out.summary.failed > 0);
+      renderBulkResults($('reqBulkResults'), out, 'id');
+    } catch (e) {
+      $('reqMsg').textContent = `Error: ${e.message}`;
+      $('reqMsg').classList.add('err');
+    }
+  }
+
+  async function runFlatBulk(action) {
+    const flat_ids = selectedIn($('flatTable'));
+    if (!flat_ids.length) { $('flatMsg').textContent = 'Select at least one flat.'; return; }
+    if (!confirm(`Run "${action}" on ${flat_ids.length} flat(s)?`)) return;
+
+    $('flatMsg').textContent = 'Working...';
+    $('flatMsg').classList.remove('err');
+    $('flatBulkResults').innerHTML = '';
+
+    try {
+      const out = await api('/admin/api/flats/bulk', {
+        method: 'POST',
+        body: JSON.stringify({ action, flat_ids, ttlMinutes: 60 })
+      });
+      await loadFlats();
+      $('flatMsg').textContent = `Bulk ${out.action}: ${out.summary.succeeded} done, ${out.summary.failed} failed.`;
+      $('flatMsg').classList.toggle('err', out.summary.failed > 0);
+      renderBulkResults($('flatBulkResults'), out, 'flat_id');
+    } catch (e) {
+      $('flatMsg').textContent = `Error: ${e.message}`;
+      $('flatMsg').classList.add('err');
+    }
+  }
+
+  function initBulkActions() {
+    initBulkSelection($('reqTable'), $('reqSelectAll'), $('reqSelCount'));
+    initBulkSelection($('flatTable'), $('flatSelectAll'), $('flatSelCount'));
+
+    $('reqBulkBar')?.addEventListener('click', async (ev) => {
+      const kind = ev.target.closest('button[data-req-bulk]')?.getAttribute('data-req-bulk');
+      if (kind) await runRequestBulk(kind);
+    });
+    $('flatBulkBar')?.addEventListener('click', async (ev) => {
+      const action = ev.target.closest('button[data-flat-bulk]')?.getAttribute('data-flat-bulk');
+      if (action) await runFlatBulk(action);
+    });
+  }
+
+  // ---------- Blocks ----------
+  let blockBuildings = [];
+
+  function blockLabel(b) {
+    return [b.code, b.name, b.building_name ? `(${b.building_name})` : ''].filter(Boolean).join(' ');
+  }
+
+  // Keeps every block filter <select> in sync with the known blocks, preserving the current choice
+  function fillBlockSelects(blocks) {
+    document.querySelectorAll('select[data-block-select]').forEach(sel => {
+      const current = sel.value;
+      sel.innerHTML = `<option value="">All blocks</option>` +
+        blocks.map(b => `<option value="${escapeHtml(b.code)}">${escapeHtml(blockLabel(b))}</option>`).join('');
+      sel.value = blocks.some(b => b.code === current) ? current : '';
+    });
+  }
+
+  async function loadBlocks() {
+    $('blocksMsg').textContent = '';
+    $('blocksMsg').classList.remove('err');
+
+    try {
+      const data = await api('/admin/api/blocks', { method: 'GET' });
+      const blocks = data.blocks || [];
+      blockBuildings = data.buildings || [];
+      fillBlockSelects(blocks);
+
+      $('blocksMeta').textContent = data.live_error ? `Online counts unavailable: ${data.live_error}` : `Updated ${new Date().toLocaleTimeString()}`;
+      const manage = can('buildings:manage');
+      const tbody = $('blocksTable').querySelector('tbody');
+      tbody.innerHTML = '';
+
+      for (const b of blocks) {
+        const code = escapeHtml(b.code);
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td><b>${code}</b></td>
+          <td>
+            ${manage ? `
+              <select data-block-building="${code}">
+                <option value="">-</option>
+                ${blockBuildings.map(bu => `<option value="${bu.id}" ${String(bu.id) === String(b.building_id) ? 'selected' : ''}>${escapeHtml(bu.name)}</option>`).join('')}
+              </select>` : escapeHtml(b.building_name || '-')}
+          </td>
+          <td>${manage ? `<input data-block-name="${code}" value="${escapeHtml(b.name || '')}" placeholder="e.g. Tower A" />` : escapeHtml(b.name || '-')}</td>
+          <td>${b.flats}</td>
+          <td>${b.active}</td>
+          <td>${b.disabled}</td>
+          <td>${b.banned}</td>
+          <td>${b.online ?? '-'}</td>
+          <td>${b.pending_requests}</td>
+          <td>${manage ? `<button class="btn" data-block-save="${code}">Save</button>` : ''}</td>
+        `;
+        tbody.appendChild(tr);
+      }
+
+      if (!blocks.length) {
+        tbody.innerHTML = `<tr><td colspan="10" class="small">No blocks yet. They appear once flats or requests exist.</td></tr>`;
+      }
+    } catch (e) {
+      $('blocksMsg').textContent = `Error: ${e.message}`;
+      $('blocksMsg').classList.add('err');
+    }
+  }
+
+  async function saveBlock(code) {
+    const row = $('blocksTable').querySelector(`[data-block-save="${CSS.escape(code)}"]`)?.closest('tr');
+    const name = row?.querySelector('[data-block-name]')?.value || '';
+    const building = row?.querySelector('[data-block-building]')?.value || '';
+
+    try {
+      await api(`/admin/api/blocks/${encodeURIComponent(code)}`, {
+        method: 'POST',
+        body: JSON.stringify({ name, building_id: building ? Number(building) : null })
+      });
+      await loadBlocks();
+      $('blocksMsg').textContent = `Saved block ${code}.`;
+    } catch (e) {
+      $('blocksMsg').textContent = `Error: ${e.message}`;
+      $('blocksMsg').classList.add('err');
+    }
+  }
+
+  async function createBuilding() {
+    const name = ($('newBuildingName').value || '').trim();
+    if (!name) return;
+
+    try {
+      await api('/admin/api/buildings', { method: 'POST', body: JSON.stringify({ name }) });
+      $('newBuildingName').value = '';
+      await loadBlocks();
+      $('blocksMsg').textContent = `Added building "${name}". Assign blocks to it below.`;
+    } catch (e) {
+      $('blocksMsg').textContent = `Error: ${e.message}`;
+      $('blocksMsg').classList.add('err');
+    }
+  }
+
+  function initBlocksUI() {
+    $('btnLoadBlocks')?.addEventListener('click', loadBlocks);
+    $('btnCreateBuilding')?.addEventListener('click', createBuilding);
+    $('blocksTable')?.addEventListener('click', async (ev) => {
+      const code = ev.target.closest('button[data-block-save]')?.getAttribute('data-block-save');
+      if (code) await saveBlock(code);
+    });
+
+    $('liveBlock')?.addEventListener('change', () => loadLive());
+    $('reqBlock')?.addEventListener('change', () => { reqPager.offset = 0; loadRequests(); });
+    $('flatBlock')?.addEventListener('change', () => { flatPager.offset = 0; loadFlats(); });
+
+    if (can('flats:view')) loadBlocks();
+  }
+
+  // ---------- CSV import ----------
+  let importCsvText = '';
+
+  function setImportMsg(text, isErr = false) {
+    $('importMsg').textContent = text || '';
+    $('importMsg').classList.toggle('err', !!isErr);
+  }
+
+  function renderImportReport(report) {
+    const table = $('importTable');
+    const tbody = table.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    for (const r of report) {
+      const problems = [
+        ...r.errors.map(e => `<div class="alert-crit">${escapeHtml(e)}</div>`),
+        ...r.warnings.map(w => `<div class="alert-warn">${escapeHtml(w)}</div>`)
+      ].join('');
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${r.row}</td>
+        <td><b>${escapeHtml(r.flat_id || '-')}</b></td>
+        <td>${escapeHtml(r.name || '-')}</td>
+        <td>${escapeHtml(r.status)}</td>
+        <td>${problems || '<span class="small">ok</span>'}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+    table.style.display = report.length ? '' : 'none';
+  }
+
+  async function runImport(dryRun) {
+    if (!importCsvText) { setImportMsg('Choose a CSV file first.', true); return; }
+    setImportMsg(dryRun ? 'Validating...' : 'Importing...');
+    $('btnImportCommit').disabled = true;
+
+    try {
+      const out = await api(`/admin/api/import?dry_run=${dryRun ? '1' : '0'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: importCsvText
+      });
+      renderImportReport(out.report || []);
+
+      const s = out.summary || {};
+      if (out.committed) {
+        setImportMsg(`Imported ${s.requests} request(s), created ${s.flats} flat(s).`);
+        importCsvText = '';
+        $('importFile').value = '';
+        await loadRequests();
+      } else if (s.error_rows) {
+        setImportMsg(`${s.error_rows} of ${s.rows} row(s) have errors. Fix the file and validate again.`, true);
+      } else {
+        setImportMsg(`${s.rows} row(s) OK: ${s.requests} request(s), ${s.flats} new flat(s). Click Import to commit.`);
+        $('btnImportCommit').disabled = !s.rows;
+      }
+    } catch (e) {
+      setImportMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  function initImportUI() {
+    $('btnImportToggle')?.addEventListener('click', () => {
+      const box = $('importBox');
+      box.style.display = box.style.display === 'none' ? 'block' : 'none';
+    });
+
+    $('importFile')?.addEventListener('change', async (ev) => {
+      const file = ev.target.files?.[0];
+      importCsvText = file ? await file.text() : '';
+      $('btnImportCommit').disabled = true;
+      $('importTable').style.display = 'none';
+      setImportMsg(file ? `Loaded ${file.name}. Validate before importing.` : '');
+    });
+
+    $('btnImportValidate')?.addEventListener('click', () => runImport(true));
+    $('btnImportCommit')?.addEventListener('click', () => runImport(false));
+  }
+
   // ---------- Flats ----------
+  const flatPager = makePager('flat_id', 'asc');
+
+  // Active filter chips: one value per filter key (e.g. { banned: '1', status: 'DISABLED' })
+  const flatChipFilters = {};
+
+  function flatFilterParams() {
+    const params = new URLSearchParams({ q: ($('flatSearch').value || '').trim().toUpperCase() });
+    for (const [k, v] of Object.entries(flatChipFilters)) params.set(k, v);
+    if ($('flatBlock')?.value) params.set('block', $('flatBlock').value);
+    return params;
+  }
+
+  function renderFlatChips() {
+    document.querySelectorAll('#flatChips .chip[data-filter]').forEach(chip => {
+      const k = chip.getAttribute('data-filter');
+      chip.classList.toggle('on', flatChipFilters[k] === chip.getAttribute('data-value'));
+    });
+  }
+
+  function initFlatChips() {
+    $('flatChips')?.addEventListener('click', (ev) => {
+      const chip = ev.target.closest('.chip');
+      if (!chip) return;
+
+      if (chip.id === 'btnFlatChipsClear') {
+        for (const k of Object.keys(flatChipFilters)) delete flatChipFilters[k];
+      } else {
+        const k = chip.getAttribute('data-filter');
+        const v = chip.getAttribute('data-value');
+        if (flatChipFilters[k] === v) delete flatChipFilters[k];
+        else flatChipFilters[k] = v;
+      }
+
+      renderFlatChips();
+      flatPager.offset = 0;
+      loadFlats();
+    });
+  }
+
   async function loadFlats() {
-    const q = ($('flatSearch').value || '').trim().toUpperCase();
     $('flatMsg').textContent = 'Loading...';
     $('flatMsg').classList.remove('err');
 
     try {
-      const data = await api(`/admin/api/flats?q=${encodeURIComponent(q)}`, { method: 'GET' });
+      const params = flatFilterParams();
+      for (const [k, v] of Object.entries(pagerParams(flatPager))) params.set(k, v);
+      const data = await api(`/admin/api/flats?${params.toString()}`, { method: 'GET' });
       const rows = data.rows || [];
+      renderPager(flatPager, data, $('flatPageInfo'), rows.length);
+      renderSortHeaders($('flatTable'), flatPager);
 
       const tbody = $('flatTable').querySelector('tbody');
       tbody.innerHTML = '';
@@ -431,34 +1052,126 @@
         const flatIdSafe = escapeHtml(f.flat_id);
         const tr = document.createElement('tr');
         tr.innerHTML = `
-          <td><b>${flatIdSafe}</b></td>
+          <td><input type="checkbox" data-sel="${flatIdSafe}" /></td>
+          <td><b><a href="#" data-fdetail="${flatIdSafe}">${flatIdSafe}</a></b></td>
           <td><span class="pill ${pill}">${escapeHtml(f.status)}</span></td>
           <td>${f.strike_count ?? 0}</td>
           <td>${banText}</td>
           <td>${f.requires_admin_revoke ? 'YES' : 'NO'}</td>
+          <td>${fmtTime(f.created_at)}</td>
           <td>${f.last_login_at ? fmtTime(f.last_login_at) : '-'}</td>
           <td>
             <div style="display:flex; gap:8px; flex-wrap:wrap; align-items:center;">
-              <button class="btn" data-fsetup="${flatIdSafe}">Setup Code</button>
-              <button class="btn btnWarn" data-revoke="${flatIdSafe}">Revoke Ban</button>
+              ${can('setup-codes:create') ? `<button class="btn" data-fsetup="${flatIdSafe}">Setup Code</button>` : ''}
+              <button class="btn btnGhost" data-fcodes="${flatIdSafe}">Codes</button>
+              ${can('flats:revoke-ban') ? `<button class="btn btnWarn" data-revoke="${flatIdSafe}">Revoke Ban</button>` : ''}
+              ${can('flats:disable') ? `
               <button class="btn ${isDisabled ? 'btnPrimary' : 'btnDanger'}"
                       data-toggle="${flatIdSafe}" data-disabled="${isDisabled ? '1' : '0'}">
                 ${isDisabled ? 'Enable' : 'Disable'}
-              </button>
+              </button>` : ''}
             </div>
             <div id="flat-code-${flatIdSafe}" style="margin-top:8px;"></div>
+            <div id="flat-codes-${flatIdSafe}" style="margin-top:8px;"></div>
           </td>
         `;
         tbody.appendChild(tr);
       }
+      syncBulkSelection($('flatTable'), $('flatSelectAll'), $('flatSelCount'));
 
-      $('flatMsg').textContent = rows.length ? `Showing ${rows.length} flat(s).` : 'No flats found.';
+      $('flatMsg').textContent = rows.length ? `Showing ${rows.length} of ${flatPager.total} flat(s).` : 'No flats found.';
     } catch (e) {
       $('flatMsg').textContent = `Error: ${e.message}`;
       $('flatMsg').classList.add('err');
     }
   }
 
+  // IDs stored before the FLAT_ID_* layout was enforced; they need renaming (or merging when they collide)
+  async function loadFlatIdReport() {
+    const box = $('flatIdReport');
+    if (box.innerHTML.trim()) { box.innerHTML = ''; return; }
+    box.innerHTML = '<div class="small">Checking stored flat IDs...</div>';
+    await renderFlatIdReport();
+  }
+
+  let flatIdExample = 'A-502';
+
+  async function renderFlatIdReport() {
+    const box = $('flatIdReport');
+
+    try {
+      const out = await api('/admin/api/flats/id-report', { method: 'GET' });
+      flatIdExample = out.schema.example;
+      const fix = (r) => r.canonical
+        ? `rename to <b>${escapeHtml(r.canonical)}</b>`
+        : `<span class="alert-crit">${escapeHtml(r.error)}</span>`;
+      const renameBtn = (r) => {
+        if (!can('flats:rename')) return '';
+        const label = r.collides ? 'Merge' : r.canonical ? 'Rename' : 'Rename...';
+        return ` <button class="btn" data-id-rename="${escapeHtml(r.flat_id)}" data-id-to="${escapeHtml(r.canonical || '')}"
+          data-id-merge="${r.collides ? '1' : ''}">${label}</button>`;
+      };
+
+      box.innerHTML = `
+        <div class="small">
+          Layout example: <b>${escapeHtml(out.schema.example)}</b>.
+          Checked ${out.checked.flats} flat(s) and ${out.checked.request_flat_ids} request flat ID(s).
+          ${!out.flats.length && !out.requests.length ? 'All IDs are canonical.' : ''}
+        </div>
+        ${out.flats.length ? `
+          <table style="margin-top:6px;">
+            <thead><tr><th>Flat</th><th>Status</th><th>Fix</th></tr></thead>
+            <tbody>
+              ${out.flats.map(r => `
+                <tr>
+                  <td><b>${escapeHtml(r.flat_id)}</b></td>
+                  <td>${escapeHtml(r.status)}</td>
+                  <td>${fix(r)}${r.collides ? ' <span class="alert-warn">(already exists: merge)</span>' : ''}${renameBtn(r)}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>` : ''}
+        ${out.requests.length ? `
+          <table style="margin-top:6px;">
+            <thead><tr><th>Request flat ID</th><th>Requests</th><th>Fix</th></tr></thead>
+            <tbody>
+              ${out.requests.map(r => `
+                <tr>
+                  <td><b>${escapeHtml(r.flat_id)}</b></td>
+                  <td>${r.requests}</td>
+                  <td>${fix(r)}${renameBtn(r)}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>` : ''}
+      `;
+    } catch (e) {
+      box.innerHTML = `<div class="small alert-crit">Error: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  // Moves the flat (with its setup codes and requests) to the canonical ID
+  async function renameFlatId(from, to, merge) {
+    if (!to) {
+      to = (prompt(`New flat ID for "${from}" (e.g. ${flatIdExample}):`, '') || '').trim();
+      if (!to) return;
+    }
+    const msg = merge
+      ? `Merge "${from}" into the existing flat ${to}? Its setup codes and requests move over and "${from}" is deleted.`
+      : `Rename "${from}" to ${to}? Its setup codes and requests move with it; past audit entries keep the old ID.`;
+    if (!confirm(msg)) return;
+
+    try {
+      const out = await api(`/admin/api/flats/${encodeURIComponent(from)}/rename`, {
+        method: 'POST',
+        body: JSON.stringify({ to, merge: Boolean(merge) })
+      });
+      alert(`${out.merged ? 'Merged' : 'Renamed'} ${out.from} -> ${out.to} (${out.moved.requests} request(s), ${out.moved.setup_codes} setup code(s)).`);
+      await renderFlatIdReport();
+      await loadFlats();
+    } catch (e) {
+      alert(e.message === 'FLAT_ID_TAKEN' ? `${to} already exists; refresh the report to merge instead.` : `Error: ${e.message}`);
+    }
+  }
+
   async function generateSetupCodeForFlatRow(flat_id, ttlMinutes = 60) {
     $('flatMsg').textContent = 'Generating setup code...';
     $('flatMsg').classList.remove('err');
@@ -469,7 +1182,9 @@
         body: JSON.stringify({ ttlMinutes })
       });
 
-      $('flatMsg').textContent = `Setup code generated for ${out.flat_id}`;
+      $('flatMsg').textContent = out.superseded
+        ? `Setup code generated for ${out.flat_id} (${out.superseded} older code(s) invalidated)`
+        : `Setup code generated for ${out.flat_id}`;
       const slot = document.getElementById(`flat-code-${flat_id}`);
 
       renderInlineCode({
@@ -484,6 +1199,61 @@
     }
   }
 
+  // Setup code history under the flat row (toggle)
+  async function toggleSetupCodes(flat_id, forceOpen = false) {
+    const slot = document.getElementById(`flat-codes-${flat_id}`);
+    if (!slot) return;
+    if (slot.innerHTML.trim() && !forceOpen) { slot.innerHTML = ''; return; }
+
+    slot.innerHTML = '<div class="small">Loading codes...</div>';
+    try {
+      const data = await api(`/admin/api/flats/${encodeURIComponent(flat_id)}/setup-codes`, { method: 'GET' });
+      const rows = data.rows || [];
+      if (!rows.length) { slot.innerHTML = '<div class="small">No setup codes issued yet.</div>'; return; }
+
+      const pillFor = (st) => st === 'ACTIVE' ? 'active' : st === 'USED' ? 'approved' : st === 'REVOKED' ? 'rejected' : 'disabled';
+      slot.innerHTML = `
+        <table style="margin-top:0;">
+          <thead><tr><th>#</th><th>Status</th><th>Created</th><th>Expires</th><th>By</th><th></th></tr></thead>
+          <tbody>
+            ${rows.map(c => `
+              <tr>
+                <td>${c.id}</td>
+                <td><span class="pill ${pillFor(c.status)}">${escapeHtml(c.status)}</span></td>
+                <td>${fmtTime(c.created_at)}</td>
+                <td>${c.status === 'USED' ? `used ${fmtTime(c.used_at)}` : fmtTime(c.expires_at)}</td>
+                <td>${escapeHtml(c.created_by || '-')}</td>
+                <td>${c.status === 'ACTIVE' && can('setup-codes:revoke')
+          ? `<button class="btn btnDanger" data-code-revoke="${c.id}" data-code-flat="${escapeHtml(c.flat_id)}">Revoke</button>`
+          : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (e) {
+      slot.innerHTML = `<div class="msg err">Error: ${escapeHtml(e.message)}</div>`;
+    }
+  }
+
+  async function revokeSetupCode(flat_id, id) {
+    if (!confirm(`Revoke setup code #${id} for ${flat_id}? It will stop working immediately.`)) return;
+    $('flatMsg').textContent = 'Revoking setup code...';
+    $('flatMsg').classList.remove('err');
+
+    try {
+      await api(`/admin/api/flats/${encodeURIComponent(flat_id)}/setup-codes/${id}/revoke`, { method: 'POST' });
+      $('flatMsg').textContent = `Setup code #${id} revoked for ${flat_id}`;
+      clearInline(`flat-${flat_id}`);
+      const inline = document.getElementById(`flat-code-${flat_id}`);
+      if (inline) inline.innerHTML = '';
+      await toggleSetupCodes(flat_id, true);
+    } catch (e) {
+      $('flatMsg').textContent = `Error: ${e.message}`;
+      $('flatMsg').classList.add('err');
+    }
+  }
+
   async function revokeBan(flat_id) {
     $('flatMsg').textContent = 'Revoking ban...';
     $('flatMsg').classList.remove('err');
@@ -516,16 +1286,127 @@
     }
   }
 
+  // ---------- Flat detail ----------
+  let detailFlatId = null;
+
+  function showFlatDetail(show) {
+    $('flatListPanel').style.display = show ? 'none' : '';
+    $('flatDetailPanel').style.display = show ? '' : 'none';
+  }
+
+  function fillRows(tableId, rows, emptyText, colspan, rowHtml) {
+    const tbody = $(tableId).querySelector('tbody');
+    tbody.innerHTML = rows.length
+      ? rows.map(rowHtml).join('')
+      : `<tr><td colspan="${colspan}" class="small">${escapeHtml(emptyText)}</td></tr>`;
+  }
+
+  function auditRowHtml(a) {
+    return `
+      <tr>
+        <td>${fmtTime(a.created_at)}</td>
+        <td><b>${escapeHtml(a.action)}</b></td>
+        <td>${escapeHtml(a.actor || '-')}</td>
+        <td class="small" style="margin-top:0;">${fmtAuditChange(a.before, a.after)}</td>
+      </tr>
+    `;
+  }
+
+  async function loadFlatDetail(flat_id) {
+    detailFlatId = flat_id;
+    showFlatDetail(true);
+    $('fdTitle').textContent = flat_id;
+    $('fdMsg').textContent = 'Loading...';
+    $('fdMsg').classList.remove('err');
+
+    try {
+      const d = await api(`/admin/api/flats/${encodeURIComponent(flat_id)}`, { method: 'GET' });
+      const f = d.flat;
+
+      $('fdStatus').innerHTML = f
+        ? `<span class="pill ${f.status === 'DISABLED' ? 'disabled' : 'active'}">${escapeHtml(f.status)}</span>`
+        : '<span class="pill pending">NO FLAT YET</span>';
+      $('fdBan').textContent = f ? `${f.strike_count ?? 0} / ${f.ban_until && Number(f.ban_until) > Date.now() ? `until ${fmtTime(f.ban_until)}` : 'none'}` : '-';
+      $('fdRevoke').textContent = f?.requires_admin_revoke ? 'Requires admin revoke' : '';
+      $('fdCreds').textContent = f ? `${f.has_password ? 'password set' : 'no password'}${f.has_pin ? ', PIN set' : ''}` : '-';
+      $('fdLastLogin').textContent = f?.last_login_at ? fmtTime(f.last_login_at) : 'never';
+      $('fdCreated').textContent = f ? `Created ${fmtTime(f.created_at)}` : '';
+
+      const live = d.live || {};
+      if (!live.ok) {
+        $('fdLive').textContent = '?';
+        $('fdLiveInfo').textContent = live.error === 'FORBIDDEN' ? 'No live:view permission' : `Live data unavailable: ${live.error || 'error'}`;
+      } else {
+        $('fdLive').textContent = live.online ? 'ONLINE' : 'offline';
+        const bits = [];
+        for (const c of live.clients || []) bits.push(`${fmtRole(c.role)} from ${c.ip || '?'} since ${fmtTime(c.connectedAt)}`);
+        for (const b of live.broadcasting || []) bits.push(`broadcasting to ${b.listeners} listener(s)`);
+        if ((live.listening_to || []).length) bits.push(`listening to ${live.listening_to.join(', ')}`);
+        $('fdLiveInfo').textContent = bits.join(' · ');
+      }
+
+      fillRows('fdRequests', d.requests || [], 'No requests for this flat.', 6, r => `
+        <tr>
+          <td>${r.id}</td>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${escapeHtml(r.note || '')}</td>
+          <td><span class="pill ${String(r.status).toLowerCase()}">${escapeHtml(r.status)}</span>${fmtRejectReason(r)}</td>
+          <td>${fmtTime(r.created_at)}</td>
+          <td>${fmtTime(r.updated_at)}</td>
+        </tr>
+      `);
+
+      fillRows('fdCodes', d.setup_codes || [], 'No setup codes issued.', 5, c => `
+        <tr>
+          <td>${c.id}</td>
+          <td>${escapeHtml(c.status)}</td>
+          <td>${fmtTime(c.created_at)}</td>
+          <td>${c.status === 'USED' ? `used ${fmtTime(c.used_at)}` : fmtTime(c.expires_at)}</td>
+          <td>${escapeHtml(c.created_by || '-')}</td>
+        </tr>
+      `);
+
+      fillRows('fdBanHistory', d.ban_history || [], 'No admin ban/status changes recorded.', 4, auditRowHtml);
+      fillRows('fdAudit', d.audit || [], 'No audit events for this flat.', 4, auditRowHtml);
+
+      $('fdMsg').textContent = `Loaded ${new Date().toLocaleTimeString()}`;
+    } catch (e) {
+      $('fdMsg').textContent = `Error: ${e.message}`;
+      $('fdMsg').classList.add('err');
+    }
+  }
+
+  function initFlatDetail() {
+    $('btnFlatDetailBack')?.addEventListener('click', () => { showFlatDetail(false); loadFlats(); });
+    $('btnFlatDetailRefresh')?.addEventListener('click', () => { if (detailFlatId) loadFlatDetail(detailFlatId); });
+  }
+
   function initFlatActions() {
     $('flatTable').addEventListener('click', async (ev) => {
+      const link = ev.target.closest('a[data-fdetail]');
+      if (link) {
+        ev.preventDefault();
+        await loadFlatDetail(link.getAttribute('data-fdetail'));
+        return;
+      }
+
       const btn = ev.target.closest('button');
       if (!btn) return;
 
       const fsetup = btn.getAttribute('data-fsetup');
+      const fcodes = btn.getAttribute('data-fcodes');
+      const codeRevoke = btn.getAttribute('data-code-revoke');
       const revoke = btn.getAttribute('data-revoke');
       const toggle = btn.getAttribute('data-toggle');
 
-      if (fsetup) { await generateSetupCodeForFlatRow(fsetup, 60); return; }
+      if (fsetup) {
+        await generateSetupCodeForFlatRow(fsetup, 60);
+        const codes = document.getElementById(`flat-codes-${fsetup}`);
+        if (codes?.innerHTML.trim()) await toggleSetupCodes(fsetup, true);
+        return;
+      }
+      if (fcodes) { await toggleSetupCodes(fcodes); return; }
+      if (codeRevoke) { await revokeSetupCode(btn.getAttribute('data-code-flat'), Number(codeRevoke)); return; }
       if (revoke) { await revokeBan(revoke); return; }
       if (toggle) {
         const disabled = btn.getAttribute('data-disabled') === '1';
@@ -535,8 +1416,418 @@
     });
   }
 
+  // ---------- Audit ----------
+  function fmtAuditValue(v) {
+    if (v === null || v === undefined) return '-';
+    if (typeof v === 'object') return JSON.stringify(v);
+    return String(v);
+  }
+
+  // Flatten {request:{...}, flat:{...}} snapshots one level so both shapes diff the same way
+  function flattenSnapshot(obj, prefix = '') {
+    const out = {};
+    if (!obj || typeof obj !== 'object') return out;
+    for (const [k, v] of Object.entries(obj)) {
+      if (v && typeof v === 'object' && !prefix) Object.assign(out, flattenSnapshot(v, `${k}.`));
+      else out[`${prefix}${k}`] = v;
+    }
+    return out;
+  }
+
+  function fmtAuditChange(before, after) {
+    if (!before && !after) return '';
+    const b = flattenSnapshot(before);
+    const a = flattenSnapshot(after);
+    const keys = [...new Set([...Object.keys(b), ...Object.keys(a)])]
+      .filter(k => k !== 'updated_at' && !k.endsWith('.updated_at'))
+      .filter(k => fmtAuditValue(b[k]) !== fmtAuditValue(a[k]));
+
+    if (!keys.length) return '<span class="small">no change</span>';
+    return keys.map(k => `
+      <div><b>${escapeHtml(k)}</b>: ${escapeHtml(fmtAuditValue(b[k]))} &rarr; ${escapeHtml(fmtAuditValue(a[k]))}</div>
+    `).join('');
+  }
+
+  function dateInputToMs(el) {
+    const v = el?.value;
+    if (!v) return '';
+    const ms = new Date(v).getTime();
+    return Number.isFinite(ms) ? String(ms) : '';
+  }
+
+  function auditParams() {
+    const params = new URLSearchParams();
+    const action = $('auditAction')?.value || '';
+    const flat = ($('auditFlat')?.value || '').trim().toUpperCase();
+    const from = dateInputToMs($('auditFrom'));
+    const to = dateInputToMs($('auditTo'));
+    if (action) params.set('action', action);
+    if (flat) params.set('flat_id', flat);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return params;
+  }
+
+  async function loadAudit() {
+    $('auditMsg').textContent = 'Loading...';
+    $('auditMsg').classList.remove('err');
+
+    try {
+      const data = await api(`/admin/api/audit?${auditParams().toString()}`, { method: 'GET' });
+      const rows = data.rows || [];
+      const tbody = $('auditTable').querySelector('tbody');
+      tbody.innerHTML = '';
+
+      for (const a of rows) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${fmtTime(a.created_at)}</td>
+          <td><b>${escapeHtml(a.action)}</b></td>
+          <td>${escapeHtml(a.actor || '-')}</td>
+          <td>${escapeHtml(a.flat_id || '-')}</td>
+          <td class="small" style="margin-top:0;">${fmtAuditChange(a.before, a.after)}</td>
+          <td>${escapeHtml(a.ip || '-')}</td>
+        `;
+        tbody.appendChild(tr);
+      }
+
+      $('auditMsg').textContent = rows.length ? `Showing ${rows.length} event(s).` : 'No audit events found.';
+    } catch (e) {
+      $('auditMsg').textContent = `Error: ${e.message}`;
+      $('auditMsg').classList.add('err');
+    }
+  }
+
+  // ---------- Admin accounts ----------
+  const ADMIN_ROLES = ['viewer', 'operator', 'superadmin'];
+
+  async function loadAdmins() {
+    if (!can('admins:manage')) return;
+    $('adminMsg').textContent = 'Loading...';
+    $('adminMsg').classList.remove('err');
+
+    try {
+      const data = await api('/admin/api/admins', { method: 'GET' });
+      const rows = data.rows || [];
+      const tbody = $('adminTable').querySelector('tbody');
+      tbody.innerHTML = '';
+
+      for (const a of rows) {
+        const isSelf = me && Number(me.id) === Number(a.id);
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td><b>${escapeHtml(a.username)}</b>${isSelf ? ' <span class="small">(you)</span>' : ''}</td>
+          <td>
+            <select data-admin-role="${a.id}">
+              ${ADMIN_ROLES.map(r => `<option value="${r}" ${r === a.role ? 'selected' : ''}>${r}</option>`).join('')}
+            </select>
+          </td>
+          <td><span class="pill ${a.is_active ? 'active' : 'disabled'}">${a.is_active ? 'ACTIVE' : 'DISABLED'}</span></td>
+          <td>${a.totp_enabled ? 'ON' : 'OFF'}</td>
+          <td>${fmtTime(a.created_at)}</td>
+          <td>${fmtTime(a.last_login_at)}</td>
+          <td>
+            ${a.totp_enabled && !isSelf ? `<button class="btn btnWarn" data-admin-2fa-reset="${a.id}">Reset 2FA</button>` : ''}
+            ${isSelf ? '' : `
+              <button class="btn ${a.is_active ? 'btnDanger' : 'btnPrimary'}"
+                      data-admin-toggle="${a.id}" data-disabled="${a.is_active ? '0' : '1'}">
+                ${a.is_active ? 'Deactivate' : 'Reactivate'}
+              </button>`}
+          </td>
+        `;
+        tbody.appendChild(tr);
+      }
+
+      $('adminMsg').textContent = `Showing ${rows.length} admin(s).`;
+    } catch (e) {
+      $('adminMsg').textContent = `Error: ${e.message}`;
+      $('adminMsg').classList.add('err');
+    }
+  }
+
+  async function createAdminFromUI() {
+    const username = ($('newAdminUser').value || '').trim().toLowerCase();
+    const password = $('newAdminPass').value || '';
+    const role = $('newAdminRole')?.value || 'viewer';
+
+    $('newAdminMsg').textContent = '';
+    $('newAdminMsg').classList.remove('err');
+
+    try {
+      const out = await api('/admin/api/admins', { method: 'POST', body: JSON.stringify({ username, password, role }) });
+      $('newAdminMsg').textContent = `Created ${out.role} ${out.username}`;
+      $('newAdminUser').value = '';
+      $('newAdminPass').value = '';
+      await loadAdmins();
+    } catch (e) {
+      $('newAdminMsg').textContent = `Error: ${e.message}`;
+      $('newAdminMsg').classList.add('err');
+    }
+  }
+
+  async function toggleAdmin(id, currentlyDisabled) {
+    $('adminMsg').textContent = currentlyDisabled ? 'Reactivating...' : 'Deactivating...';
+    $('adminMsg').classList.remove('err');
+
+    try {
+      await api(`/admin/api/admins/${id}/disable`, {
+        method: 'POST',
+        body: JSON.stringify({ disabled: !currentlyDisabled })
+      });
+      await loadAdmins();
+    } catch (e) {
+      $('adminMsg').textContent = `Error: ${e.message}`;
+      $('adminMsg').classList.add('err');
+    }
+  }
+
+  async function changeAdminRole(id, role) {
+    $('adminMsg').textContent = 'Updating role...';
+    $('adminMsg').classList.remove('err');
+
+    try {
+      await api(`/admin/api/admins/${id}/role`, { method: 'POST', body: JSON.stringify({ role }) });
+      if (me && Number(me.id) === Number(id)) await loadMe();
+      await loadAdmins();
+    } catch (e) {
+      $('adminMsg').textContent = `Error: ${e.message}`;
+      $('adminMsg').classList.add('err');
+      await loadAdmins();
+    }
+  }
+
+  async function loadLockouts() {
+    if (!can('admins:manage')) return;
+    $('lockoutMsg').textContent = 'Loading...';
+    $('lockoutMsg').classList.remove('err');
+
+    try {
+      const all = $('lockoutAll')?.checked ? '1' : '';
+      const data = await api(`/admin/api/login-lockouts?all=${all}`, { method: 'GET' });
+      const rows = data.rows || [];
+      const tbody = $('lockoutTable').querySelector('tbody');
+      tbody.innerHTML = '';
+
+      for (const l of rows) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td><b>${escapeHtml(l.key)}</b></td>
+          <td>${l.strike_count ?? 0}</td>
+          <td>${fmtTime(l.last_failed_at)}</td>
+          <td>${l.locked ? `<span class="pill rejected">${fmtTime(l.locked_until)}</span>` : '-'}</td>
+          <td><button class="btn btnWarn" data-lockout-clear="${escapeHtml(l.key)}">Clear</button></td>
+        `;
+        tbody.appendChild(tr);
+      }
+
+      $('lockoutMsg').textContent = rows.length ? `Showing ${rows.length} entr${rows.length === 1 ? 'y' : 'ies'}.` : 'No active lockouts.';
+    } catch (e) {
+      $('lockoutMsg').textContent = `Error: ${e.message}`;
+      $('lockoutMsg').classList.add('err');
+    }
+  }
+
+  async function clearLockout(key) {
+    $('lockoutMsg').textContent = 'Clearing...';
+    $('lockoutMsg').classList.remove('err');
+
+    try {
+      await api('/admin/api/login-lockouts/clear', { method: 'POST', body: JSON.stringify({ key }) });
+      await loadLockouts();
+    } catch (e) {
+      $('lockoutMsg').textContent = `Error: ${e.message}`;
+      $('lockoutMsg').classList.add('err');
+    }
+  }
+
+  // ---------- own 2FA ----------
+  function setTotpMsg(text, isErr = false) {
+    $('totpMsg').textContent = text || '';
+    $('totpMsg').classList.toggle('err', !!isErr);
+  }
+
+  function renderTotp() {
+    const on = Boolean(myTotp?.enabled);
+    $('totpStatus').textContent = on
+      ? `Enabled. ${myTotp.recovery_codes_left ?? 0} recovery code(s) left.`
+      : 'Not enabled.';
+    $('totpOn').style.display = on ? 'block' : 'none';
+    $('totpOff').style.display = on ? 'none' : 'block';
+  }
+
+  function showRecoveryCodes(codes) {
+    const box = $('totpRecovery');
+    box.innerHTML = `
+      <div style="font-weight:800;">Recovery codes (shown once, store them offline)</div>
+      <div style="margin-top:6px; display:grid; grid-template-columns: repeat(2, max-content); gap:4px 24px;">
+        ${codes.map(c => `<div>${escapeHtml(c)}</div>`).join('')}
+      </div>
+      <button class="btn" style="margin-top:8px;" id="btnCopyRecovery">Copy</button>
+    `;
+    box.classList.add('show');
+    $('btnCopyRecovery')?.addEventListener('click', () => copyText(codes.join('\n')));
+  }
+
+  async function totpSetup() {
+    setTotpMsg('');
+    try {
+      const out = await api('/admin/api/me/2fa/setup', { method: 'POST' });
+      $('totpSecret').textContent = out.secret.replace(/(.{4})/g, '$1 ').trim();
+      $('totpUri').textContent = out.otpauth_uri;
+      $('totpUri').href = out.otpauth_uri;
+      $('totpSetupBox').style.display = 'block';
+    } catch (e) {
+      setTotpMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function totpEnable() {
+    setTotpMsg('');
+    try {
+      const out = await api('/admin/api/me/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code: ($('totpEnableCode').value || '').trim() })
+      });
+      $('totpEnableCode').value = '';
+      $('totpSetupBox').style.display = 'none';
+      showRecoveryCodes(out.recovery_codes || []);
+      setTotpMsg('2FA enabled.');
+      await loadMe();
+      renderTotp();
+    } catch (e) {
+      setTotpMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function totpRegen() {
+    setTotpMsg('');
+    try {
+      const out = await api('/admin/api/me/2fa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ code: ($('totpCode').value || '').trim() })
+      });
+      $('totpCode').value = '';
+      showRecoveryCodes(out.recovery_codes || []);
+      setTotpMsg('New recovery codes issued; the old ones no longer work.');
+      await loadMe();
+      renderTotp();
+    } catch (e) {
+      setTotpMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function totpDisable() {
+    setTotpMsg('');
+    if (!confirm('Disable two-factor authentication for your account?')) return;
+    try {
+      await api('/admin/api/me/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ code: ($('totpCode').value || '').trim(), password: $('totpDisablePw').value || '' })
+      });
+      $('totpCode').value = '';
+      $('totpDisablePw').value = '';
+      $('totpRecovery').classList.remove('show');
+      setTotpMsg('2FA disabled.');
+      await loadMe();
+      renderTotp();
+    } catch (e) {
+      setTotpMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function resetAdmin2fa(id) {
+    if (!confirm('Reset 2FA for this admin? They will sign in with password only until they enroll again.')) return;
+    $('adminMsg').textContent = 'Resetting 2FA...';
+    $('adminMsg').classList.remove('err');
+
+    try {
+      await api(`/admin/api/admins/${id}/2fa/reset`, { method: 'POST' });
+      await loadAdmins();
+    } catch (e) {
+      $('adminMsg').textContent = `Error: ${e.message}`;
+      $('adminMsg').classList.add('err');
+    }
+  }
+
+  async function changeMyPassword() {
+    const current_password = $('pwCurrent').value || '';
+    const new_password = $('pwNew').value || '';
+
+    $('pwMsg').textContent = '';
+    $('pwMsg').classList.remove('err');
+
+    if (new_password !== ($('pwNew2').value || '')) {
+      $('pwMsg').textContent = 'New passwords do not match';
+      $('pwMsg').classList.add('err');
+      return;
+    }
+
+    try {
+      await api('/admin/api/me/password', { method: 'POST', body: JSON.stringify({ current_password, new_password }) });
+      $('pwMsg').textContent = 'Password changed.';
+      $('pwCurrent').value = '';
+      $('pwNew').value = '';
+      $('pwNew2').value = '';
+    } catch (e) {
+      $('pwMsg').textContent = `Error: ${e.message}`;
+      $('pwMsg').classList.add('err');
+    }
+  }
+
+  function initAdminActions() {
+    $('adminTable')?.addEventListener('click', async (ev) => {
+      const btn = ev.target.closest('button');
+      if (!btn) return;
+
+      const toggle = btn.getAttribute('data-admin-toggle');
+      const reset2fa = btn.getAttribute('data-admin-2fa-reset');
+      if (toggle) {
+        await toggleAdmin(Number(toggle), btn.getAttribute('data-disabled') === '1');
+      }
+      if (reset2fa) await resetAdmin2fa(Number(reset2fa));
+    });
+
+    $('lockoutTable')?.addEventListener('click', async (ev) => {
+      const btn = ev.target.closest('button[data-lockout-clear]');
+      if (btn) await clearLockout(btn.getAttribute('data-lockout-clear'));
+    });
+
+    $('adminTable')?.addEventListener('change', async (ev) => {
+      const sel = ev.target.closest('select[data-admin-role]');
+      if (sel) await changeAdminRole(Number(sel.getAttribute('data-admin-role')), sel.value);
+    });
+  }
+
+  // ---------- Exports (plain downloads; the current tab filters go along) ----------
+  function exportParams(kind) {
+    if (kind === 'requests') return requestParams();
+    if (kind === 'flats') return flatFilterParams();
+    if (kind === 'audit') return auditParams();
+    return new URLSearchParams();
+  }
+
+  function downloadExport(kind, format) {
+    const params = exportParams(kind);
+    params.set('format', format);
+
+    const a = document.createElement('a');
+    a.href = `/admin/api/export/${kind}?${params.toString()}`;
+    a.download = '';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  function initExportButtons() {
+    document.querySelectorAll('button[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => downloadExport(btn.getAttribute('data-export'), btn.getAttribute('data-format')));
+    });
+  }
+
   // ---------- init ----------
-  function initUI() {
+  async function initUI() {
+    // permissions decide which tabs/actions exist, so resolve them before wiring anything up
+    await loadMe();
     initTabs();
 
     // Live UI
@@ -545,9 +1836,14 @@
     $('liveAuto')?.addEventListener('change', () => loadLive(true));
     startLiveTimer();
 
+    initBlocksUI();
+
     // Requests UI
     $('btnLoadRequests')?.addEventListener('click', loadRequests);
-    $('reqStatus')?.addEventListener('change', loadRequests);
+    $('reqStatus')?.addEventListener('change', () => { reqPager.offset = 0; loadRequests(); });
+    $('reqFlagged')?.addEventListener('change', () => { reqPager.offset = 0; loadRequests(); });
+    $('btnAutoRejectDupes')?.addEventListener('click', autoRejectDuplicates);
+    initSortablePager({ table: $('reqTable'), prev: $('btnReqPrev'), next: $('btnReqNext'), pager: reqPager, reload: loadRequests });
 
     $('btnNewRequestToggle')?.addEventListener('click', () => {
       const box = $('newRequestBox');
@@ -558,12 +1854,48 @@
 
     $('btnCreateRequest')?.addEventListener('click', createRequestFromUI);
     initRequestActions();
+    initImportUI();
+    initExportButtons();
 
     // Flats UI
-    $('btnSearchFlats')?.addEventListener('click', loadFlats);
-    $('flatSearch')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') loadFlats(); });
+    $('btnSearchFlats')?.addEventListener('click', () => { flatPager.offset = 0; loadFlats(); });
+    $('btnFlatIdReport')?.addEventListener('click', loadFlatIdReport);
+    $('flatIdReport')?.addEventListener('click', async (ev) => {
+      const btn = ev.target.closest('button[data-id-rename]');
+      if (!btn) return;
+      await renameFlatId(btn.getAttribute('data-id-rename'), btn.getAttribute('data-id-to'), btn.getAttribute('data-id-merge') === '1');
+    });
+    $('flatSearch')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { flatPager.offset = 0; loadFlats(); } });
+    initSortablePager({ table: $('flatTable'), prev: $('btnFlatPrev'), next: $('btnFlatNext'), pager: flatPager, reload: loadFlats });
+    initFlatChips();
+    initFlatDetail();
     initFlatActions();
-    initDbUI();
+    initBulkActions();
+
+    // Audit UI
+    $('btnLoadAudit')?.addEventListener('click', loadAudit);
+    $('auditAction')?.addEventListener('change', loadAudit);
+    $('auditFlat')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') loadAudit(); });
+
+    // Admins UI
+    $('btnLoadAdmins')?.addEventListener('click', loadAdmins);
+    $('btnNewAdminToggle')?.addEventListener('click', () => {
+      const box = $('newAdminBox');
+      box.style.display = box.style.display === 'none' ? 'block' : 'none';
+      $('newAdminMsg').textContent = '';
+      $('newAdminMsg').classList.remove('err');
+    });
+    $('btnCreateAdmin')?.addEventListener('click', createAdminFromUI);
+    $('btnChangePw')?.addEventListener('click', changeMyPassword);
+    $('btnLoadLockouts')?.addEventListener('click', loadLockouts);
+    $('btnTotpSetup')?.addEventListener('click', totpSetup);
+    $('btnTotpEnable')?.addEventListener('click', totpEnable);
+    $('btnTotpRegen')?.addEventListener('click', totpRegen);
+    $('btnTotpDisable')?.addEventListener('click', totpDisable);
+    $('lockoutAll')?.addEventListener('change', loadLockouts);
+    initAdminActions();
+
+    if (can('db:view')) initDbUI();
   }
 
   // ---------- Live (from user server snapshot via admin backend) ----------
@@ -603,7 +1935,8 @@
     }
 
     try {
-      const data = await api('/admin/api/live', { method: 'GET' });
+      const block = $('liveBlock')?.value || '';
+      const data = await api(`/admin/api/live${block ? `?block=${encodeURIComponent(block)}` : ''}`, { method: 'GET' });
       const snap = data.snap;
 
       // summary cards
@@ -729,7 +2062,10 @@
   let dbState = {
     table: null,
     cols: [],
+    colTypes: {},
     pkCols: [],
+    readOnly: false,
+    derived: [],
     rows: [],
     limit: 50,
     offset: 0,
@@ -782,7 +2118,10 @@
   async function dbLoadMeta(table) {
     const data = await api(`/admin/api/db/table/${encodeURIComponent(table)}/meta`, { method: 'GET' });
     dbState.cols = (data.cols || []).map(c => c.name);
+    dbState.colTypes = Object.fromEntries((data.cols || []).map(c => [c.name, c.type]));
     dbState.pkCols = data.pkCols || [];
+    dbState.readOnly = !!data.readOnly;
+    dbState.derived = data.derived || [];
   }
 
   async function dbLoadRows() {
@@ -808,16 +2147,14 @@
       const end = dbState.offset + dbState.rows.length;
       if (page) page.textContent = dbState.total ? `${start}-${end} / ${dbState.total}` : '-';
 
-      setDbMsg(`Loaded ${dbState.rows.length} row(s).`, false);
+      setDbMsg(`Loaded ${dbState.rows.length} row(s).${dbState.readOnly ? ' This table is read-only.' : ''}`, false);
     } catch (e) {
       setDbMsg(`Error: ${e.message}`, true);
     }
   }
 
-  function dbRenderTable() {
-    const { table } = dbEls();
-    if (!table) return;
-
+  // Shared by the table viewer and the SQL console: plain text cells, optional row click
+  function renderResultTable(table, cols, rows, onRowClick = null) {
     const theadRow = table.querySelector('thead tr');
     const tbody = table.querySelector('tbody');
 
@@ -825,41 +2162,49 @@
     tbody.innerHTML = '';
 
     // Header
-    for (const c of dbState.cols) {
+    for (const c of cols) {
       const th = document.createElement('th');
       th.textContent = c;
       theadRow.appendChild(th);
     }
 
     // Body
-    for (const row of dbState.rows) {
+    for (const row of rows) {
       const tr = document.createElement('tr');
-      tr.style.cursor = 'pointer';
-
-      tr.addEventListener('click', () => {
-        // Build PK object if possible
-        if (dbState.pkCols.length) {
-          const pk = {};
-          for (const k of dbState.pkCols) pk[k] = row[k];
-          dbState.selectedPk = pk;
-        } else {
-          dbState.selectedPk = null;
-        }
-        dbState.selectedRow = row;
-        dbRenderForm(row);
-        setDbMsg(dbState.pkCols.length ? 'Row selected for edit.' : 'This table has no PK; edit/delete disabled.', !dbState.pkCols.length);
-      });
+      if (onRowClick) {
+        tr.style.cursor = 'pointer';
+        tr.addEventListener('click', () => onRowClick(row));
+      }
 
-      for (const c of dbState.cols) {
+      for (const c of cols) {
         const td = document.createElement('td');
         const v = row[c];
-        td.textContent = v === null || v === undefined ? '' : String(v);
+        td.textContent = v === null || v === undefined ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
         tr.appendChild(td);
       }
       tbody.appendChild(tr);
     }
   }
 
+  function dbRenderTable() {
+    const { table } = dbEls();
+    if (!table) return;
+
+    renderResultTable(table, dbState.cols, dbState.rows, (row) => {
+      // Build PK object if possible
+      if (dbState.pkCols.length) {
+        const pk = {};
+        for (const k of dbState.pkCols) pk[k] = row[k];
+        dbState.selectedPk = pk;
+      } else {
+        dbState.selectedPk = null;
+      }
+      dbState.selectedRow = row;
+      dbRenderForm(row);
+      setDbMsg(dbState.pkCols.length ? 'Row selected for edit.' : 'This table has no PK; edit/delete disabled.', !dbState.pkCols.length);
+    });
+  }
+
   function dbRenderForm(rowOrNull) {
     const { form, del } = dbEls();
     if (!form) return;
@@ -877,32 +2222,36 @@
 
       const input = document.createElement('input');
       input.id = `dbf_${c}`;
-      input.placeholder = c;
+      input.placeholder = dbState.colTypes[c] || c;
 
       // Show current value
       const v = row[c];
       input.value = v === null || v === undefined ? '' : String(v);
 
-      // If editing existing row, lock PK fields (so where clause stays correct)
-      if (rowOrNull && dbState.pkCols.includes(c)) {
+      // If editing existing row, lock PK fields (so where clause stays correct);
+      // derived columns (block_code) are always set by the server
+      if ((rowOrNull && dbState.pkCols.includes(c)) || dbState.derived.includes(c)) {
         input.disabled = true;
         input.style.opacity = '0.7';
       }
+      if (dbState.derived.includes(c)) input.placeholder = 'set from flat_id';
 
       wrap.appendChild(label);
       wrap.appendChild(input);
       form.appendChild(wrap);
     }
 
-    // Disable delete when no selected row or no pk
-    if (del) del.disabled = !(rowOrNull && dbState.pkCols.length);
+    // Disable delete when no selected row or no pk; read-only tables get neither save nor delete
+    if (del) del.disabled = dbState.readOnly || !(rowOrNull && dbState.pkCols.length);
+    const { save } = dbEls();
+    if (save) save.disabled = dbState.readOnly;
   }
 
   function dbCollectValues() {
     const values = {};
     for (const c of dbState.cols) {
       const el = document.getElementById(`dbf_${c}`);
-      if (!el) continue;
+      if (!el || dbState.derived.includes(c)) continue;
       // Empty string -> keep as empty string; you can type NULL manually if you want,
       // but simplest is: empty means '' for TEXT fields.
       values[c] = el.value;
@@ -976,9 +2325,108 @@
     setDbMsg('Cleared form. Saving now will INSERT a new row.', false);
   }
 
+  // ---------- SQL console ----------
+  let savedQueries = [];
+
+  const CONSOLE_UNAVAILABLE_TEXT = {
+    CONSOLE_ROLE_REQUIRED: 'The SQL console is off: set SQL_CONSOLE_ROLE on the server to a role that cannot read the hidden columns.',
+    CONSOLE_NEEDS_DB_FILE: 'The SQL console is off: it needs a file database (sqlite:./path.sqlite), not sqlite::memory:.'
+  };
+
+  function setConsoleMsg(text, isErr = false) {
+    $('consoleMsg').textContent = text || '';
+    $('consoleMsg').classList.toggle('err', !!isErr);
+  }
+
+  async function loadSavedQueries() {
+    try {
+      const data = await api('/admin/api/db/saved-queries', { method: 'GET' });
+      savedQueries = data.queries || [];
+      const sel = $('consoleSaved');
+      const current = sel.value;
+      sel.innerHTML = '<option value="">Saved queries...</option>' +
+        savedQueries.map(q => `<option value="${q.id}">${escapeHtml(q.name)}</option>`).join('');
+      sel.value = savedQueries.some(q => String(q.id) === current) ? current : '';
+    } catch (e) {
+      setConsoleMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function runConsole() {
+    const sql = $('consoleSql').value;
+    const saved = savedQueries.find(q => String(q.id) === $('consoleSaved').value && q.sql === sql);
+    setConsoleMsg('Running...');
+
+    try {
+      const out = await api('/admin/api/db/console', {
+        method: 'POST',
+        body: JSON.stringify({ sql, saved_query_id: saved?.id ?? null })
+      });
+      renderResultTable($('consoleTable'), out.columns, out.rows);
+      setConsoleMsg(`${out.rows.length} row(s) in ${out.ms} ms${out.truncated ? ` (capped at ${out.max_rows})` : ''}.`);
+    } catch (e) {
+      renderResultTable($('consoleTable'), [], []);
+      setConsoleMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function saveConsoleQuery() {
+    const sel = $('consoleSaved');
+    const existing = savedQueries.find(q => String(q.id) === sel.value);
+    const name = prompt('Name for this query (an existing name is replaced):', existing?.name || '');
+    if (!name) return;
+
+    try {
+      const out = await api('/admin/api/db/saved-queries', {
+        method: 'POST',
+        body: JSON.stringify({ name, sql: $('consoleSql').value })
+      });
+      await loadSavedQueries();
+      sel.value = String(out.query.id);
+      setConsoleMsg(`Saved "${out.query.name}".`);
+    } catch (e) {
+      setConsoleMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  async function deleteConsoleQuery() {
+    const q = savedQueries.find(x => String(x.id) === $('consoleSaved').value);
+    if (!q || !confirm(`Delete saved query "${q.name}"?`)) return;
+
+    try {
+      await api(`/admin/api/db/saved-queries/${q.id}/delete`, { method: 'POST' });
+      await loadSavedQueries();
+      setConsoleMsg(`Deleted "${q.name}".`);
+    } catch (e) {
+      setConsoleMsg(`Error: ${e.message}`, true);
+    }
+  }
+
+  function initConsoleUI() {
+    if (!$('consoleSql')) return;
+    if (consoleUnavailable) {
+      $('btnConsoleRun').disabled = true;
+      setConsoleMsg(CONSOLE_UNAVAILABLE_TEXT[consoleUnavailable] || `The SQL console is off (${consoleUnavailable}).`, true);
+    }
+
+    $('btnConsoleRun')?.addEventListener('click', runConsole);
+    $('btnConsoleSave')?.addEventListener('click', saveConsoleQuery);
+    $('btnConsoleDelete')?.addEventListener('click', deleteConsoleQuery);
+    $('consoleSql').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); runConsole(); }
+    });
+    $('consoleSaved')?.addEventListener('change', () => {
+      const q = savedQueries.find(x => String(x.id) === $('consoleSaved').value);
+      if (q) $('consoleSql').value = q.sql;
+    });
+
+    loadSavedQueries();
+  }
+
   function initDbUI() {
     const { sel, load, prev, next, save, del, clear } = dbEls();
     if (!sel) return; // DB tab not present
+    if (can('db:console')) initConsoleUI();
 
     load?.addEventListener('click', async () => {
       dbState.offset = 0;
@@ -7,37 +7,177 @@ import { WebSocketServer } from "ws";
 import path from "path";
 import { fileURLToPath } from "url";
 import os from "os";
+import crypto from "crypto";
 
-import { pool, query, migrate } from "./db_pg.js";
+import { pool, DB_DIALECT, query, migrate, migrationStatus, withTransaction, withReadOnlyTransaction } from "./db_pg.js";
+import { sqliteSession } from "./db_sqlite.js";
 import {
   adminCreateFlatRequest,
   adminListRequests,
+  REQUEST_SORTS,
+  FLAT_SORTS,
   adminApproveRequest,
+  adminApproveAndIssueCode,
+  adminRejectRequest,
+  adminReopenRequest,
+  adminGetRequestConflicts,
+  adminMergeDuplicateRequests,
+  adminAutoRejectDuplicates,
+  adminFlatIdReport,
+  adminResolveFlatId,
+  adminResolveFlatIds,
+  adminRenameFlatId,
+  adminBackfillBlocks,
+  adminDbTables,
+  adminDbMeta,
+  adminDbRows,
+  adminDbUpdate,
+  adminDbInsert,
+  adminDbDelete,
+  SQL_CONSOLE,
+  sqlConsoleUnavailable,
+  adminConsoleQuery,
+  adminListSavedQueries,
+  adminGetSavedQuery,
+  adminSaveQuery,
+  adminDeleteSavedQuery,
+  adminListBlocks,
+  adminListBuildings,
+  adminCreateBuilding,
+  adminGetBlock,
+  adminSetBlock,
   adminGenerateSetupCode,
+  setupCodeEntropyBits,
+  adminListSetupCodes,
+  adminRevokeSetupCode,
   adminListFlats,
   adminRevokeBan,
-  adminDisableFlat
+  adminDisableFlat,
+  adminGetFlat,
+  adminGetFlatDetail,
+  adminGetRequest,
+  adminWriteAudit,
+  adminListAudit,
+  adminSeedFirstAccount,
+  adminVerifyLogin,
+  adminGetAccount,
+  adminListAccounts,
+  adminCreateAccount,
+  adminSetAccountActive,
+  adminSetAccountRole,
+  adminChangePassword,
+  checkLoginThrottle,
+  loginThrottleKeys,
+  adminLoginLockedFor,
+  adminLoginClaimAttempt,
+  adminLoginRefundAttempt,
+  adminLoginRecordSuccess,
+  adminListLoginLockouts,
+  adminClearLoginLockout,
+  adminImportFlatRequests,
+  adminExportBatches,
+  adminMarkLoggedIn,
+  adminCheckPassword,
+  adminCountRecoveryCodes,
+  adminTotpBeginSetup,
+  adminTotpConfirmSetup,
+  adminTotpVerifyLogin,
+  adminTotpRegenerateRecoveryCodes,
+  adminTotpDisable
 } from "./admin_db_pg.js";
+import { otpauthUri } from "./totp.js";
+import { parseCsvObjects, csvLine } from "./csv.js";
+import { ROLES, roleHas, permissionsFor } from "./permissions.js";
+import { canonicalFlatId, describeFlatIdSchema, blockOf } from "./flat_id.js";
+
+// `node server.js --migrate-status` lists migrations; `--migrate-only` applies them and exits
+// (run it as a deploy step so app instances boot against an up-to-date schema).
+if (process.argv.includes("--migrate-status")) {
+  try {
+    const rows = await migrationStatus();
+    for (const m of rows) {
+      const when = m.applied_at ? new Date(m.applied_at).toISOString() : "";
+      console.log(`${String(m.version).padStart(3, "0")}  ${m.state.padEnd(8)} ${m.name.padEnd(32)} ${when}`);
+    }
+    const pending = rows.filter((m) => m.state === "pending").length;
+    console.log(pending ? `${pending} pending migration(s)` : "schema is up to date");
+    process.exit(rows.some((m) => m.state === "changed" || m.state === "missing") ? 2 : 0);
+  } catch (e) {
+    console.error("[DB] migration status failed:", e?.message || e);
+    process.exit(1);
+  }
+}
 
 try {
-  await migrate();
-  console.log("[DB] Postgres connected");
+  const out = await migrate();
+  console.log(`[DB] ${DB_DIALECT} connected; ${out.applied.length} migration(s) applied`);
 } catch (e) {
   console.error("[DB] migrate/connect failed:", e?.message || e);
   process.exit(1);
 }
 
+if (process.argv.includes("--migrate-only")) process.exit(0);
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = Number(process.env.PORT || 5004);
+const ADMIN_USERNAME = process.env.AUDIX_ADMIN_USERNAME || "admin";
 const ADMIN_PASSWORD = process.env.AUDIX_ADMIN_PASSWORD || "";
 const SESSION_SECRET = process.env.SESSION_SECRET || "";
 
-if (!ADMIN_PASSWORD) {
-  console.error("Missing AUDIX_ADMIN_PASSWORD in env");
+// First boot: seed the initial admin account from env. Once any admin exists the env password is ignored.
+{
+  const seed = await adminSeedFirstAccount(query, { username: ADMIN_USERNAME, password: ADMIN_PASSWORD });
+  if (!seed.ok) {
+    console.error(
+      seed.error === "NO_ADMINS"
+        ? "No admin accounts yet: set AUDIX_ADMIN_PASSWORD (and optionally AUDIX_ADMIN_USERNAME) in env"
+        : `Could not seed first admin: ${seed.error}`
+    );
+    process.exit(1);
+  }
+  if (seed.created) console.log(`[ADMIN] seeded first admin account "${seed.username}"`);
+}
+
+// Rows from before flats/flat_requests.block_code existed; a no-op once everything is filled
+{
+  const out = await adminBackfillBlocks(query);
+  if (out.updated) console.log(`[DB] set block_code on ${out.updated} existing row(s)`);
+}
+
+// Fail fast on a bad SETUP_CODE_* config instead of on the first "Setup Code" click
+try {
+  const bits = setupCodeEntropyBits();
+  console.log(`[SETUP] setup codes carry ~${bits} bits of entropy`);
+  if (bits < 30) console.warn("[SETUP] setup code entropy is low; consider a longer SETUP_CODE_LENGTH");
+} catch (e) {
+  console.error("Bad setup code config:", e.message);
   process.exit(1);
 }
+
+// Same for the FLAT_ID_* layout, which every flat_id route depends on
+try {
+  console.log(`[FLATS] flat IDs are canonicalised like ${describeFlatIdSchema().example}`);
+} catch (e) {
+  console.error("Bad flat ID config:", e.message);
+  process.exit(1);
+}
+
+// And for ADMIN_LOGIN_*, where a typo would otherwise switch lockout off without a word
+try {
+  const t = checkLoginThrottle();
+  console.log(`[AUTH] login lockout after ${t.freeAttempts} failed attempts, ${t.baseLockMs / 1000}s doubling to ${t.maxLockMs / 1000}s`);
+} catch (e) {
+  console.error("Bad login throttle config:", e.message);
+  process.exit(1);
+}
+
+const SQL_CONSOLE_UNAVAILABLE = sqlConsoleUnavailable({ dialect: DB_DIALECT, inMemory: Boolean(pool.inMemory) });
+if (SQL_CONSOLE_UNAVAILABLE) {
+  console.warn(`[DB] SQL console is off: ${SQL_CONSOLE_UNAVAILABLE} (see SQL_CONSOLE in admin_db_pg.js)`);
+}
+
 if (!SESSION_SECRET) {
   console.error("Missing SESSION_SECRET in env");
   process.exit(1);
@@ -60,8 +200,9 @@ const server = http.createServer(app);
 app.set("trust proxy", 1);
 
 
-// --- sessions (Postgres store for production) ---
+// --- sessions (Postgres store for production, SQLite file for local runs) ---
 const PgSession = pgSession(session);
+const SqliteSession = sqliteSession(session);
 
 const sessionParser = session({
   name: "audix_admin_sid",
@@ -69,12 +210,14 @@ const sessionParser = session({
   resave: false,
   saveUninitialized: false,
 
-  // ✅ Store sessions in Postgres (Supabase)
-  store: new PgSession({
-    pool,                       // from db_pg.js
-    tableName: "admin_sessions",
-    createTableIfMissing: true,
-  }),
+  // ✅ Store sessions in Postgres (Supabase), or the same SQLite file as everything else
+  store: DB_DIALECT === "sqlite"
+    ? new SqliteSession({ pool, tableName: "admin_sessions" })
+    : new PgSession({
+      pool,                       // from db_pg.js
+      tableName: "admin_sessions",
+      createTableIfMissing: true,
+    }),
 
   cookie: {
     httpOnly: true,
@@ -139,12 +282,42 @@ app.use((req, res, next) => {
   next();
 });
 
+// --- CSRF (synchronizer token stored in the session) ---
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function ensureCsrfToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  return req.session.csrfToken;
+}
+
+function csrfMatches(expected, got) {
+  if (typeof expected !== "string" || typeof got !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(got);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// API calls must send the token as X-CSRF-Token; the plain HTML logout form may post it as _csrf.
+// Requests without a signed-in admin fall through so the route answers 401 as before.
+app.use((req, res, next) => {
+  if (CSRF_SAFE_METHODS.has(req.method)) return next();
+
+  const isApi = req.path.startsWith("/admin/api/");
+  const isLogout = req.path === "/admin/logout";
+  if (!isApi && !isLogout) return next();
+  if (!req.session?.admin?.id) return next();
+
+  const got = req.get("x-csrf-token") || (isLogout ? req.body?._csrf : undefined);
+  if (csrfMatches(req.session.csrfToken, got)) return next();
+
+  if (isApi) return res.status(403).json({ ok: false, error: "CSRF_INVALID" });
+  return res.status(403).send("Invalid or missing CSRF token. Reload the page and try again.");
+});
+
 // --- static admin pages ---
 app.use("/public", express.static(path.join(__dirname, "public"), { maxAge: 0 }));
 
-function requireAdmin(req, res, next) {
-  if (req.session?.isAdmin === true) return next();
-
+function denyAdmin(req, res) {
   if (req.path.startsWith("/admin/api")) {
     return res.status(401).json({ ok: false, error: "UNAUTHORIZED" });
   }
@@ -152,33 +325,160 @@ function requireAdmin(req, res, next) {
   return res.redirect("/admin/login");
 }
 
+// Re-checks the account on every request so a deactivated admin loses access immediately
+async function requireAdmin(req, res, next) {
+  const sessAdmin = req.session?.admin;
+  if (!sessAdmin?.id) return denyAdmin(req, res);
+
+  const acct = await adminGetAccount(query, sessAdmin.id);
+  if (!acct || !acct.is_active) {
+    return req.session.destroy(() => denyAdmin(req, res));
+  }
+
+  req.admin = { id: acct.id, username: acct.username, role: acct.role };
+  next();
+}
+
+// requireAdmin + a single permission check; use in place of requireAdmin on any gated route
+function requirePermission(permission) {
+  return [requireAdmin, (req, res, next) => {
+    if (roleHas(req.admin.role, permission)) return next();
+
+    if (req.path.startsWith("/admin/api")) {
+      return res.status(403).json({ ok: false, error: "FORBIDDEN", permission });
+    }
+    return res.status(403).send("Forbidden");
+  }];
+}
+
+// --- audit trail ---
+// Best-effort: a failed audit insert is logged but never fails the admin action itself.
+async function audit(req, entry) {
+  try {
+    await adminWriteAudit(query, {
+      actor: req.admin?.username || req.session?.admin?.username || null,
+      ip: req.ip,
+      ...entry
+    });
+  } catch (e) {
+    console.error("[AUDIT] write failed:", entry?.action, e?.message || e);
+  }
+}
+
 // Login page
 app.get("/admin/login", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "admin-login.html"));
 });
 
-// Login handler (supports Remember Me)
-app.post("/admin/login", (req, res) => {
-  const { password, remember } = req.body || {};
-  if (typeof password !== "string") return res.status(400).send("Bad request");
+const PENDING_2FA_TTL_MS = 5 * 60_000;
 
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).send("Invalid password");
-  }
+function isRemember(remember) {
+  return remember === "1" || remember === "on" || remember === true;
+}
 
-  req.session.isAdmin = true;
+async function completeLogin(req, res, admin, { remember, method = "password" }) {
+  // new session ID on sign-in, so an ID planted before login never becomes an admin session
+  await new Promise((resolve, reject) => req.session.regenerate((err) => (err ? reject(err) : resolve())));
+  req.session.admin = admin;
+  // fresh token per login so a token seen before sign-in is worthless afterwards
+  req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  await adminMarkLoggedIn(query, admin.id);
+  await audit(req, { action: "admin.login", meta: { remember: isRemember(remember), method } });
 
-  if (remember === "1" || remember === "on") {
+  if (isRemember(remember)) {
     req.session.cookie.maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days
   } else {
     req.session.cookie.expires = false;
   }
 
   req.session.save(() => res.redirect("/admin"));
+}
+
+// Takes the attempt's strike up front (see adminLoginClaimAttempt); returns
+// { keys, lockedMs } to carry on with, or null once the 429 has been sent
+async function throttleGate(req, res, username) {
+  const keys = loginThrottleKeys({ ip: req.ip, username });
+  const claim = await withTransaction((tq) => adminLoginClaimAttempt(tq, keys));
+  if (!claim.ok) {
+    const retrySec = Math.max(1, Math.ceil((await adminLoginLockedFor(query, keys)) / 1000));
+    await audit(req, { action: "admin.login_locked", meta: { username: String(username).trim().toLowerCase(), retry_sec: retrySec } });
+    res.setHeader("Retry-After", String(retrySec));
+    res.status(429).send(`Too many failed attempts. Try again in ${retrySec}s`);
+    return null;
+  }
+  return { keys, lockedMs: claim.lockedMs };
+}
+
+// Login handler (supports Remember Me)
+app.post("/admin/login", async (req, res) => {
+  const { username, password, remember } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") return res.status(400).send("Bad request");
+
+  const throttle = await throttleGate(req, res, username);
+  if (!throttle) return;
+
+  const out = await adminVerifyLogin(query, { username, password });
+  if (!out.ok) {
+    await audit(req, {
+      action: "admin.login_failed",
+      meta: { username: String(username).trim().toLowerCase(), reason: out.error, locked_ms: throttle.lockedMs }
+    });
+    return res.status(401).send(out.error === "ADMIN_DISABLED" ? "Account disabled" : "Invalid username or password");
+  }
+
+  // strikes are only cleared once the whole login succeeds, so a known password does not reset TOTP guessing
+  if (out.needs2fa) {
+    await adminLoginRefundAttempt(query, throttle.keys);
+    req.session.pending2fa = { admin: out.admin, remember: isRemember(remember), expires_at: Date.now() + PENDING_2FA_TTL_MS };
+    return req.session.save(() => res.redirect("/admin/login/2fa"));
+  }
+
+  await adminLoginRecordSuccess(query, throttle.keys);
+  await completeLogin(req, res, out.admin, { remember });
+});
+
+function pending2fa(req) {
+  const p = req.session?.pending2fa;
+  if (!p?.admin?.id || Number(p.expires_at) < Date.now()) return null;
+  return p;
+}
+
+// Second login step (only reachable right after a correct password)
+app.get("/admin/login/2fa", (req, res) => {
+  if (!pending2fa(req)) return res.redirect("/admin/login");
+  res.sendFile(path.join(__dirname, "public", "admin-login-2fa.html"));
+});
+
+app.post("/admin/login/2fa", async (req, res) => {
+  const pending = pending2fa(req);
+  if (!pending) {
+    if (req.session) delete req.session.pending2fa;
+    return res.status(401).send("Login expired. Please sign in again.");
+  }
+
+  const { code } = req.body || {};
+  if (typeof code !== "string") return res.status(400).send("Bad request");
+
+  const throttle = await throttleGate(req, res, pending.admin.username);
+  if (!throttle) return;
+
+  const out = await adminTotpVerifyLogin(query, pending.admin.id, code);
+  if (!out.ok) {
+    await audit(req, {
+      action: "admin.login_failed",
+      actor: pending.admin.username,
+      meta: { username: pending.admin.username, reason: out.error, locked_ms: throttle.lockedMs }
+    });
+    return res.status(401).send("Invalid code");
+  }
+
+  await adminLoginRecordSuccess(query, throttle.keys);
+  await completeLogin(req, res, pending.admin, { remember: pending.remember, method: out.method });
 });
 
 // Logout
-app.post("/admin/logout", requireAdmin, (req, res) => {
+app.post("/admin/logout", requireAdmin, async (req, res) => {
+  await audit(req, { action: "admin.logout" });
   req.session.destroy(() => res.redirect("/admin/login"));
 });
 
@@ -188,10 +488,12 @@ app.get("/admin", requireAdmin, (req, res) => {
 });
 
 // -------- Live activity from user snapshot --------
-app.get("/admin/api/live", requireAdmin, async (req, res) => {
+// ?block=A narrows the snapshot to that block (see snapshotForBlock)
+app.get("/admin/api/live", requirePermission("live:view"), async (req, res) => {
+  const block = String(req.query.block || "").trim().toUpperCase();
   try {
     const snap = await fetchUserLiveSnapshot();
-    res.json({ ok: true, snap });
+    res.json({ ok: true, block: block || null, snap: block ? snapshotForBlock(snap, block) : snap });
   } catch (e) {
     res.status(502).json({ ok: false, error: e.message || "LIVE_FETCH_FAILED" });
   }
@@ -221,93 +523,942 @@ async function fetchUserLiveSnapshot() {
   return data;
 }
 
+// Clients in the block, and stations the block broadcasts on or listens to; totals are recounted
+function snapshotForBlock(snap, block) {
+  const inBlock = (v) => blockOf(v) === block;
+  const clients = (snap?.clients || []).filter((c) => inBlock(c?.flat_id));
+  const stations = (snap?.stations || []).filter((st) =>
+    inBlock(st?.broadcaster?.flat_id) || (st?.listeners || []).some((l) => inBlock(l?.flat_id))
+  );
+  return { ...snap, clients, stations, totals: { ...snap?.totals, wsClients: clients.length, stations: stations.length } };
+}
+
+// Distinct online flats per block code
+function onlineByBlock(snap) {
+  const flats = new Set([
+    ...(snap?.clients || []).map((c) => c?.flat_id),
+    ...(snap?.stations || []).map((st) => st?.broadcaster?.flat_id)
+  ].map((v) => canonicalFlatId(v)).filter(Boolean));
+
+  const out = new Map();
+  for (const flat_id of flats) {
+    const block = blockOf(flat_id);
+    out.set(block, (out.get(block) || 0) + 1);
+  }
+  return out;
+}
+
+// ---- list filters (query string -> filter object), shared by list and export routes ----
+
+const PAGE_MAX = 500;
+
+// ?sort=&dir=&limit=&offset= for the paged list endpoints
+function pageOptions(req, sorts, { sort, dir, limit = 50 }) {
+  const s = String(req.query.sort || sort);
+  const d = String(req.query.dir || dir).toLowerCase();
+  const l = Number(req.query.limit ?? limit);
+  const o = Number(req.query.offset ?? 0);
+
+  return {
+    sort: Object.prototype.hasOwnProperty.call(sorts, s) ? s : sort,
+    dir: d === "asc" ? "asc" : "desc",
+    limit: Number.isFinite(l) ? Math.min(Math.max(Math.trunc(l), 1), PAGE_MAX) : limit,
+    offset: Number.isFinite(o) ? Math.max(Math.trunc(o), 0) : 0
+  };
+}
+
+function requestFilters(req) {
+  const flagged = boolParam(req.query.flagged);
+  if (flagged === undefined) return { ok: false, error: "bad flagged" };
+
+  return {
+    ok: true,
+    filters: {
+      status: String(req.query.status || "PENDING").toUpperCase(),
+      flagged,
+      block: String(req.query.block || "").trim().toUpperCase()
+    }
+  };
+}
+
+const FLAT_STATUSES = ["ACTIVE", "DISABLED"];
+
+// "1"/"true" -> true, "0"/"false" -> false, absent/empty -> null (no filter)
+function boolParam(v) {
+  if (v === undefined || v === "") return null;
+  const s = String(v).toLowerCase();
+  if (s === "1" || s === "true") return true;
+  if (s === "0" || s === "false") return false;
+  return undefined;
+}
+
+function intParam(v, min = 0) {
+  if (v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min ? n : undefined;
+}
+
+// flat_id to act on for a param/body value: canonical (flat_id.js), or the stored pre-layout
+// spelling of an existing flat (adminResolveFlatId); sends 400 and returns null when neither fits
+async function flatIdOr400(raw, res) {
+  const p = await adminResolveFlatId(query, raw);
+  if (p.ok) return p.flat_id;
+  res.status(400).json({ ok: false, error: "BAD_FLAT_ID", reason: p.error, flat_id: p.input });
+  return null;
+}
+
+// Filters match stored IDs, so only rewrite values that are a complete flat ID
+function flatIdFilterValue(raw) {
+  const s = String(raw || "").trim();
+  return canonicalFlatId(s) ?? s.toUpperCase();
+}
+
+function flatFilters(req) {
+  const status = String(req.query.status || "").trim().toUpperCase();
+  const filters = {
+    q: flatIdFilterValue(req.query.q),
+    status,
+    banned: boolParam(req.query.banned),
+    requires_revoke: boolParam(req.query.requires_revoke),
+    never_logged_in: boolParam(req.query.never_logged_in),
+    inactive_days: intParam(req.query.inactive_days, 1),
+    min_strikes: intParam(req.query.min_strikes, 0),
+    block: String(req.query.block || "").trim().toUpperCase()
+  };
+
+  if (status && !FLAT_STATUSES.includes(status)) return { ok: false, error: "status must be ACTIVE or DISABLED" };
+  const bad = Object.entries(filters).find(([, v]) => v === undefined);
+  if (bad) return { ok: false, error: `bad value for ${bad[0]}` };
+
+  return { ok: true, filters };
+}
+
+function auditFilters(req) {
+  const from = req.query.from ? Number(req.query.from) : null;
+  const to = req.query.to ? Number(req.query.to) : null;
+  if ((from !== null && !Number.isFinite(from)) || (to !== null && !Number.isFinite(to))) {
+    return { ok: false, error: "bad time range" };
+  }
+
+  return {
+    ok: true,
+    filters: {
+      action: String(req.query.action || "").trim(),
+      flat_id: flatIdFilterValue(req.query.flat_id),
+      from,
+      to
+    }
+  };
+}
+
 // ---- ADMIN DB APIs (admin-only) ----
 
 // Create a flat request manually
-app.post("/admin/api/requests", requireAdmin, async (req, res) => {
-  const { flat_id, name, note } = req.body || {};
-  if (!flat_id || !name) return res.status(400).json({ ok: false, error: "flat_id and name required" });
+app.post("/admin/api/requests", requirePermission("requests:create"), async (req, res) => {
+  const { name, note } = req.body || {};
+  if (!req.body?.flat_id || !name) return res.status(400).json({ ok: false, error: "flat_id and name required" });
+
+  const flat_id = await flatIdOr400(req.body.flat_id, res);
+  if (!flat_id) return;
 
   const id = await adminCreateFlatRequest(query, {
-    flat_id: String(flat_id).trim().toUpperCase(),
+    flat_id,
     name: String(name).trim(),
     note: String(note || "")
   });
 
-  res.json({ ok: true, id });
+  const after = await adminGetRequest(query, id);
+  await audit(req, { action: "request.create", flat_id: after?.flat_id, after, meta: { request_id: id } });
+
+  // Created either way; conflicts are reported so the dashboard can warn
+  res.json({ ok: true, id, conflicts: await adminGetRequestConflicts(query, id) });
 });
 
 // List pending/approved/rejected requests
-app.get("/admin/api/requests", requireAdmin, async (req, res) => {
-  const status = String(req.query.status || "PENDING").toUpperCase();
-  const rows = await adminListRequests(query, status);
-  res.json({ ok: true, rows });
+app.get("/admin/api/requests", requirePermission("requests:view"), async (req, res) => {
+  const parsed = requestFilters(req);
+  if (!parsed.ok) return res.status(400).json(parsed);
+
+  const { filters } = parsed;
+  const page = pageOptions(req, REQUEST_SORTS, { sort: "created_at", dir: "desc" });
+  const { rows, total } = await adminListRequests(query, { ...filters, ...page });
+  res.json({ ok: true, rows, total, ...page });
 });
 
-// Approve a request -> creates/activates flat
-app.post("/admin/api/requests/:id/approve", requireAdmin, async (req, res) => {
+function requestErrorStatus(error) {
+  if (error === "REQUEST_NOT_FOUND" || error === "FLAT_NOT_FOUND") return 404;
+  if (error === "INVALID_TRANSITION" || error === "FLAT_DISABLED") return 409;
+  if (error === "SETUP_CODE_COLLISION") return 500;
+  return 400;
+}
+
+// Setup code lifetime in whole minutes (default 60); sends 400 and returns null outside 1..SETUP_CODE_TTL_MAX_MINUTES.
+// Only checked when a code is actually issued: the other actions ignore ttlMinutes.
+const SETUP_CODE_TTL_MAX_MINUTES = 24 * 60;
+
+function ttlOr400(value, res) {
+  if (value === undefined || value === null || value === "") return 60;
+  const ttl = Number(value);
+  if (Number.isInteger(ttl) && ttl >= 1 && ttl <= SETUP_CODE_TTL_MAX_MINUTES) return ttl;
+  res.status(400).json({ ok: false, error: "BAD_TTL", min: 1, max: SETUP_CODE_TTL_MAX_MINUTES });
+  return null;
+}
+
+// Per-item actions shared by the single-row routes and the bulk endpoints.
+// Each writes its own audit entry and returns the admin_db_pg.js result.
+
+async function approveRequestAs(req, id, { issueCode = false, ttlMinutes = 60, bulk = false } = {}) {
+  const beforeReq = await adminGetRequest(query, id);
+  const beforeFlat = beforeReq ? await adminGetFlat(query, beforeReq.flat_id) : null;
+
+  const out = await withTransaction((tq) => issueCode
+    ? adminApproveAndIssueCode(tq, id, { ttlMinutes, created_by: req.admin.username })
+    : adminApproveRequest(tq, id));
+  if (!out.ok || out.unchanged) return out;
+
+  const afterFlat = await adminGetFlat(query, out.flat_id);
+  await audit(req, {
+    action: "request.approve",
+    flat_id: out.flat_id,
+    before: { request: beforeReq, flat: beforeFlat },
+    after: { request: await adminGetRequest(query, id), flat: afterFlat },
+    meta: { request_id: id, issued_code: Boolean(out.setup_code), ...(bulk ? { bulk } : {}) }
+  });
+
+  // never log the plaintext code
+  if (out.setup_code) {
+    await audit(req, {
+      action: "setup_code.create",
+      flat_id: out.flat_id,
+      after: afterFlat,
+      meta: { expires_at: out.setup_code.expires_at, superseded: out.setup_code.superseded, request_id: id }
+    });
+  }
+  return out;
+}
+
+async function rejectRequestAs(req, id, { category, reason, bulk = false } = {}) {
+  const before = await adminGetRequest(query, id);
+  const out = await adminRejectRequest(query, id, { category, reason });
+  if (!out.ok || out.unchanged) return out;
+
+  await audit(req, {
+    action: "request.reject",
+    flat_id: out.flat_id,
+    before,
+    after: await adminGetRequest(query, id),
+    meta: { request_id: id, ...(bulk ? { bulk } : {}) }
+  });
+  return out;
+}
+
+async function issueSetupCodeAs(req, flat_id, { ttlMinutes = 60, bulk = false } = {}) {
+  const before = await adminGetFlat(query, flat_id);
+  const out = await withTransaction((tq) => adminGenerateSetupCode(tq, {
+    flat_id,
+    ttlMinutes,
+    created_by: req.admin.username
+  }));
+  if (!out.ok) return out;
+
+  // never log the plaintext code
+  await audit(req, {
+    action: "setup_code.create",
+    flat_id,
+    before,
+    after: await adminGetFlat(query, flat_id),
+    meta: { expires_at: out.expires_at, superseded: out.superseded, ...(bulk ? { bulk } : {}) }
+  });
+  return out;
+}
+
+async function revokeBanAs(req, flat_id, { bulk = false } = {}) {
+  const before = await adminGetFlat(query, flat_id);
+  const out = await adminRevokeBan(query, flat_id);
+  if (!out.ok) return out;
+
+  await audit(req, {
+    action: "flat.revoke_ban",
+    flat_id,
+    before,
+    after: await adminGetFlat(query, flat_id),
+    ...(bulk ? { meta: { bulk } } : {})
+  });
+  return out;
+}
+
+async function setFlatDisabledAs(req, flat_id, disabled, { bulk = false } = {}) {
+  const before = await adminGetFlat(query, flat_id);
+  const out = await adminDisableFlat(query, flat_id, disabled);
+  if (!out.ok) return out;
+
+  await audit(req, {
+    action: disabled ? "flat.disable" : "flat.enable",
+    flat_id,
+    before,
+    after: await adminGetFlat(query, flat_id),
+    ...(bulk ? { meta: { bulk } } : {})
+  });
+  return out;
+}
+
+// Approve a PENDING request -> creates the flat if new (a DISABLED flat stays disabled).
+// With { issue_code: true, ttlMinutes } the first setup code is issued in the same transaction.
+app.post("/admin/api/requests/:id/approve", requirePermission("requests:approve"), async (req, res) => {
   const id = Number(req.params.id);
   if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
 
-  const out = await adminApproveRequest(query, id);
-  if (!out.ok) return res.status(404).json(out);
+  const issueCode = req.body?.issue_code === true;
+  if (issueCode && !roleHas(req.admin.role, "setup-codes:create")) {
+    return res.status(403).json({ ok: false, error: "FORBIDDEN", permission: "setup-codes:create" });
+  }
+
+  const ttlMinutes = issueCode ? ttlOr400(req.body?.ttlMinutes, res) : 60;
+  if (!ttlMinutes) return;
+
+  const out = await approveRequestAs(req, id, { issueCode, ttlMinutes });
+  if (!out.ok) return res.status(requestErrorStatus(out.error)).json(out);
   res.json(out);
 });
 
-// ✅ Reject a request (Postgres version)
-app.post("/admin/api/requests/:id/reject", requireAdmin, async (req, res) => {
+// Reject a request with a category (+ free-text reason, required for OTHER)
+app.post("/admin/api/requests/:id/reject", requirePermission("requests:reject"), async (req, res) => {
   const id = Number(req.params.id);
   if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
 
-  const now = Date.now();
+  const out = await rejectRequestAs(req, id, { category: req.body?.category, reason: req.body?.reason });
+  if (!out.ok) return res.status(requestErrorStatus(out.error)).json(out);
+  res.json(out);
+});
+
+// Reopen a REJECTED request so it can be decided again
+app.post("/admin/api/requests/:id/reopen", requirePermission("requests:reopen"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
 
-  const exists = await query(`SELECT id FROM flat_requests WHERE id=$1`, [id]);
-  if (!exists.rows[0]) return res.status(404).json({ ok: false, error: "REQUEST_NOT_FOUND" });
+  const before = await adminGetRequest(query, id);
+  const out = await adminReopenRequest(query, id);
+  if (!out.ok) return res.status(requestErrorStatus(out.error)).json(out);
+  if (out.unchanged) return res.json(out);
+
+  await audit(req, {
+    action: "request.reopen",
+    flat_id: out.flat_id,
+    before,
+    after: await adminGetRequest(query, id),
+    meta: { request_id: id }
+  });
 
-  await query(`UPDATE flat_requests SET status='REJECTED', updated_at=$2 WHERE id=$1`, [id, now]);
-  res.json({ ok: true });
+  res.json(out);
+});
+
+// Merge the other PENDING requests for the same flat into this one (they are rejected as DUPLICATE)
+app.post("/admin/api/requests/:id/merge-duplicates", requirePermission("requests:reject"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
+
+  const before = await adminGetRequest(query, id);
+  const out = await withTransaction((tq) => adminMergeDuplicateRequests(tq, id));
+  if (!out.ok) return res.status(requestErrorStatus(out.error)).json(out);
+  if (!out.merged.length) return res.json(out);
+
+  await audit(req, {
+    action: "request.merge",
+    flat_id: out.flat_id,
+    before,
+    after: await adminGetRequest(query, id),
+    meta: { request_id: id, merged: out.merged }
+  });
+  for (const dupId of out.merged) {
+    await audit(req, { action: "request.reject", flat_id: out.flat_id, meta: { request_id: dupId, duplicate_of: id } });
+  }
+
+  res.json(out);
+});
+
+// Keep the oldest PENDING request per flat and reject the rest. ?dry_run=1 (default) only lists them.
+app.post("/admin/api/requests/auto-reject-duplicates", requirePermission("requests:reject"), async (req, res) => {
+  const dryRun = String(req.query.dry_run ?? "1") !== "0";
+  const out = dryRun
+    ? await adminAutoRejectDuplicates(query, { dryRun: true })
+    : await withTransaction((tq) => adminAutoRejectDuplicates(tq, { dryRun: false }));
+
+  if (!dryRun) {
+    for (const g of out.groups) {
+      for (const dupId of g.rejected) {
+        await audit(req, { action: "request.reject", flat_id: g.flat_id, meta: { request_id: dupId, duplicate_of: g.kept, auto: true } });
+      }
+    }
+  }
+
+  res.json(out);
 });
 
 // Generate one-time setup code for a flat
-app.post("/admin/api/flats/:flat_id/setup-code", requireAdmin, async (req, res) => {
-  const flat_id = String(req.params.flat_id).trim().toUpperCase();
-  const ttlMinutes = Number(req.body?.ttlMinutes ?? 60);
+app.post("/admin/api/flats/:flat_id/setup-code", requirePermission("setup-codes:create"), async (req, res) => {
+  const flat_id = await flatIdOr400(req.params.flat_id, res);
+  if (!flat_id) return;
+  const ttlMinutes = ttlOr400(req.body?.ttlMinutes, res);
+  if (!ttlMinutes) return;
+  const out = await issueSetupCodeAs(req, flat_id, { ttlMinutes });
+  if (!out.ok) return res.status(out.error === "FLAT_NOT_FOUND" ? 404 : 500).json(out);
+  res.json(out);
+});
 
-  const out = await adminGenerateSetupCode(query, {
-    flat_id,
-    ttlMinutes: Number.isFinite(ttlMinutes) ? ttlMinutes : 60
+// ---- Bulk actions ----
+// Body: { action, ids | flat_ids, ...action options }. Items run one by one (each in its
+// own transaction where the single route uses one) and a failing item does not stop
+// the rest; the response lists a result per item.
+
+const BULK_MAX = 200;
+
+const BULK_REQUEST_ACTIONS = {
+  approve: "requests:approve",
+  reject: "requests:reject"
+};
+
+const BULK_FLAT_ACTIONS = {
+  disable: "flats:disable",
+  enable: "flats:disable",
+  "revoke-ban": "flats:revoke-ban",
+  "setup-code": "setup-codes:create"
+};
+
+// Validates the action/permission/item list shared by both bulk routes
+function bulkInput(req, res, actions, items) {
+  const action = String(req.body?.action || "");
+  if (!Object.hasOwn(actions, action)) {
+    res.status(400).json({ ok: false, error: "BAD_BULK_ACTION", actions: Object.keys(actions) });
+    return null;
+  }
+  if (!roleHas(req.admin.role, actions[action])) {
+    res.status(403).json({ ok: false, error: "FORBIDDEN", permission: actions[action] });
+    return null;
+  }
+  if (!Array.isArray(items) || !items.length) {
+    res.status(400).json({ ok: false, error: "NO_ITEMS" });
+    return null;
+  }
+  if (items.length > BULK_MAX) {
+    res.status(400).json({ ok: false, error: "TOO_MANY_ITEMS", max: BULK_MAX });
+    return null;
+  }
+  return action;
+}
+
+async function runBulk(items, fn) {
+  const results = [];
+  for (const item of items) {
+    try {
+      results.push(await fn(item));
+    } catch (e) {
+      console.error("bulk item failed:", e);
+      results.push({ ok: false, error: "INTERNAL_ERROR" });
+    }
+  }
+  return results;
+}
+
+function bulkSummary(results) {
+  const succeeded = results.filter((r) => r.ok).length;
+  return { total: results.length, succeeded, failed: results.length - succeeded };
+}
+
+// Bulk approve/reject requests by id
+app.post("/admin/api/requests/bulk", requireAdmin, async (req, res) => {
+  const ids = req.body?.ids;
+  const action = bulkInput(req, res, BULK_REQUEST_ACTIONS, ids);
+  if (!action) return;
+
+  const issueCode = action === "approve" && req.body?.issue_code === true;
+  if (issueCode && !roleHas(req.admin.role, "setup-codes:create")) {
+    return res.status(403).json({ ok: false, error: "FORBIDDEN", permission: "setup-codes:create" });
+  }
+  const ttlMinutes = issueCode ? ttlOr400(req.body?.ttlMinutes, res) : 60;
+  if (!ttlMinutes) return;
+
+  const results = await runBulk([...new Set(ids.map(Number))], async (id) => {
+    if (!Number.isFinite(id)) return { id, ok: false, error: "bad id" };
+    const out = action === "approve"
+      ? await approveRequestAs(req, id, { issueCode, ttlMinutes, bulk: true })
+      : await rejectRequestAs(req, id, { category: req.body?.category, reason: req.body?.reason, bulk: true });
+    return { id, ...out };
   });
+
+  res.json({ ok: true, action, summary: bulkSummary(results), results });
+});
+
+// Bulk disable/enable/revoke-ban/setup-code on flats
+app.post("/admin/api/flats/bulk", requireAdmin, async (req, res) => {
+  const flatIds = req.body?.flat_ids;
+  const action = bulkInput(req, res, BULK_FLAT_ACTIONS, flatIds);
+  if (!action) return;
+
+  const ttlMinutes = action === "setup-code" ? ttlOr400(req.body?.ttlMinutes, res) : 60;
+  if (!ttlMinutes) return;
+  const unique = [...new Set(flatIds.map((f) => String(f || "").trim()).filter(Boolean))];
+
+  const resolved = new Map((await adminResolveFlatIds(query, unique)).map((p, i) => [unique[i], p]));
+
+  const results = await runBulk(unique, async (raw) => {
+    const parsedId = resolved.get(raw);
+    if (!parsedId.ok) return { flat_id: raw, ok: false, error: "BAD_FLAT_ID", reason: parsedId.error };
+
+    const { flat_id } = parsedId;
+    let out;
+    if (action === "disable" || action === "enable") out = await setFlatDisabledAs(req, flat_id, action === "disable", { bulk: true });
+    else if (action === "revoke-ban") out = await revokeBanAs(req, flat_id, { bulk: true });
+    else out = await issueSetupCodeAs(req, flat_id, { ttlMinutes, bulk: true });
+    return { flat_id, ...out };
+  });
+
+  res.json({ ok: true, action, summary: bulkSummary(results), results });
+});
+
+// Stored flat/request IDs that do not match the configured FLAT_ID_* layout (one-off migration aid).
+// Registered before /admin/api/flats/:flat_id so the path is not read as a flat ID.
+app.get("/admin/api/flats/id-report", requirePermission("flats:view"), async (req, res) => {
+  res.json(await adminFlatIdReport(query));
+});
+
+// Rename an ID from the report to its canonical spelling (or to body.to when it has none),
+// moving the flat's setup codes and requests (audit rows keep their ID). When that flat already exists,
+// body.merge === true folds the two together; otherwise 409 FLAT_ID_TAKEN.
+// :flat_id is taken exactly as stored, not resolved.
+app.post("/admin/api/flats/:flat_id/rename", requirePermission("flats:rename"), async (req, res) => {
+  const from = String(req.params.flat_id);
+  const to = req.body?.to ?? from;
+  const canonical = canonicalFlatId(to);
+
+  const before = { flat: await adminGetFlat(query, from), target: canonical ? await adminGetFlat(query, canonical) : null };
+  const out = await withTransaction((tq) => adminRenameFlatId(tq, { from, to, merge: req.body?.merge === true }));
+  if (!out.ok) {
+    const status = out.error === "FLAT_NOT_FOUND" ? 404 : out.error === "FLAT_ID_TAKEN" ? 409 : 400;
+    return res.status(status).json(out);
+  }
+
+  await audit(req, {
+    action: "flat.rename",
+    flat_id: out.to,
+    before,
+    after: { flat: await adminGetFlat(query, out.to) },
+    meta: { from: out.from, to: out.to, merged: out.merged, moved: out.moved }
+  });
+  res.json(out);
+});
+
+// Live presence of one flat in a user-service snapshot
+function flatPresence(snap, flat_id) {
+  const same = (v) => flatIdFilterValue(v) === flat_id;
+  const clients = (snap?.clients || []).filter((c) => same(c?.flat_id));
+  const broadcasting = (snap?.stations || []).filter((st) => same(st?.broadcaster?.flat_id));
+  const listening = (snap?.stations || []).filter((st) => (st?.listeners || []).some((l) => same(l?.flat_id)));
+
+  return {
+    online: clients.length > 0 || broadcasting.length > 0,
+    clients,
+    broadcasting: broadcasting.map((st) => ({ ...st.broadcaster, listeners: (st.listeners || []).length })),
+    listening_to: listening.map((st) => st?.broadcaster?.flat_id).filter(Boolean)
+  };
+}
+
+// Flat detail: record, requests, setup codes, ban history, audit and live presence in one call
+app.get("/admin/api/flats/:flat_id", requirePermission("flats:view"), async (req, res) => {
+  const flat_id = await flatIdOr400(req.params.flat_id, res);
+  if (!flat_id) return;
+
+  const out = await adminGetFlatDetail(query, flat_id);
   if (!out.ok) return res.status(404).json(out);
 
+  // the user service being down should not hide the DB side of the picture
+  let live;
+  if (roleHas(req.admin.role, "live:view")) {
+    try {
+      live = { ok: true, ...flatPresence(await fetchUserLiveSnapshot(), flat_id) };
+    } catch (e) {
+      live = { ok: false, error: e.message || "LIVE_FETCH_FAILED" };
+    }
+  } else {
+    live = { ok: false, error: "FORBIDDEN" };
+  }
+
+  res.json({ ...out, live });
+});
+
+// Setup code history for a flat (status only, no hashes)
+app.get("/admin/api/flats/:flat_id/setup-codes", requirePermission("flats:view"), async (req, res) => {
+  const flat_id = await flatIdOr400(req.params.flat_id, res);
+  if (!flat_id) return;
+  const rows = await adminListSetupCodes(query, flat_id);
+  res.json({ ok: true, rows });
+});
+
+// Kill an active setup code (e.g. read out to the wrong resident)
+app.post("/admin/api/flats/:flat_id/setup-codes/:id/revoke", requirePermission("setup-codes:revoke"), async (req, res) => {
+  const flat_id = await flatIdOr400(req.params.flat_id, res);
+  if (!flat_id) return;
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
+
+  const out = await adminRevokeSetupCode(query, { flat_id, id, revoked_by: req.admin.username });
+  if (!out.ok) return res.status(out.error === "SETUP_CODE_NOT_FOUND" ? 404 : 409).json(out);
+
+  await audit(req, { action: "setup_code.revoke", flat_id, meta: { setup_code_id: id } });
   res.json(out);
 });
 
+// Bulk import flat requests from CSV (flat_id, name, note, optional status).
+// Body is the raw CSV (Content-Type: text/csv). ?dry_run=1 only validates; otherwise all rows
+// are written in one transaction, or none if any row has an error.
+app.post(
+  "/admin/api/import",
+  requirePermission("flats:import"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    const dryRun = String(req.query.dry_run ?? "1") !== "0";
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: "CSV body required (Content-Type: text/csv)" });
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsvObjects(req.body);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message || "CSV_PARSE_FAILED" });
+    }
+
+    const missing = ["flat_id", "name"].filter((c) => !parsed.header.includes(c));
+    if (missing.length) return res.status(400).json({ ok: false, error: `missing column(s): ${missing.join(", ")}` });
+
+    const out = dryRun
+      ? await adminImportFlatRequests(query, parsed.records, { dryRun: true })
+      : await withTransaction((tq) => adminImportFlatRequests(tq, parsed.records, { dryRun: false }));
+    if (!out.ok) return res.status(400).json(out);
+
+    if (out.committed) {
+      await audit(req, {
+        action: "import.commit",
+        meta: { ...out.summary, flat_ids: out.report.map((r) => r.flat_id).slice(0, 500) }
+      });
+    }
+
+    res.json(out);
+  }
+);
+
 // Search/list flats
-app.get("/admin/api/flats", requireAdmin, async (req, res) => {
-  const q = String(req.query.q || "").trim().toUpperCase();
-  const rows = await adminListFlats(query, q);
-  res.json({ ok: true, rows });
+app.get("/admin/api/flats", requirePermission("flats:view"), async (req, res) => {
+  const parsed = flatFilters(req);
+  if (!parsed.ok) return res.status(400).json(parsed);
+
+  const { filters } = parsed;
+  const page = pageOptions(req, FLAT_SORTS, { sort: "flat_id", dir: "asc" });
+  const { rows, total } = await adminListFlats(query, { ...filters, ...page });
+  res.json({ ok: true, rows, total, ...page });
 });
 
 // Revoke ban
-app.post("/admin/api/flats/:flat_id/revoke-ban", requireAdmin, async (req, res) => {
-  const flat_id = String(req.params.flat_id).trim().toUpperCase();
-  const out = await adminRevokeBan(query, flat_id);
+app.post("/admin/api/flats/:flat_id/revoke-ban", requirePermission("flats:revoke-ban"), async (req, res) => {
+  const flat_id = await flatIdOr400(req.params.flat_id, res);
+  if (!flat_id) return;
+  const out = await revokeBanAs(req, flat_id);
   if (!out.ok) return res.status(404).json(out);
   res.json(out);
 });
 
 // Disable/Enable flat
-app.post("/admin/api/flats/:flat_id/disable", requireAdmin, async (req, res) => {
-  const flat_id = String(req.params.flat_id).trim().toUpperCase();
+app.post("/admin/api/flats/:flat_id/disable", requirePermission("flats:disable"), async (req, res) => {
+  const flat_id = await flatIdOr400(req.params.flat_id, res);
+  if (!flat_id) return;
   const disabled = Boolean(req.body?.disabled ?? true);
-  const out = await adminDisableFlat(query, flat_id, disabled);
+  const out = await setFlatDisabledAs(req, flat_id, disabled);
   if (!out.ok) return res.status(404).json(out);
   res.json(out);
 });
 
+// ---- Buildings / blocks ----
+
+// Per-block counts for the dashboard; online comes from the live snapshot and is null if that is unreachable
+app.get("/admin/api/blocks", requirePermission("flats:view"), async (req, res) => {
+  const rows = await adminListBlocks(query);
+
+  let online = null;
+  let live_error = null;
+  try {
+    online = onlineByBlock(await fetchUserLiveSnapshot());
+  } catch (e) {
+    live_error = e.message || "LIVE_FETCH_FAILED";
+  }
+
+  res.json({
+    ok: true,
+    blocks: rows.map((b) => ({ ...b, online: online ? online.get(b.code) || 0 : null })),
+    buildings: await adminListBuildings(query),
+    live_error
+  });
+});
+
+app.post("/admin/api/buildings", requirePermission("buildings:manage"), async (req, res) => {
+  const out = await adminCreateBuilding(query, { name: req.body?.name });
+  if (!out.ok) return res.status(out.error === "BUILDING_EXISTS" ? 409 : 400).json(out);
+
+  await audit(req, { action: "building.create", after: out.building });
+  res.json(out);
+});
+
+// Name a block and/or move it to a building ({ name, building_id|null })
+app.post("/admin/api/blocks/:code", requirePermission("buildings:manage"), async (req, res) => {
+  const code = String(req.params.code || "").trim().toUpperCase();
+  const raw = req.body?.building_id;
+  const building_id = raw === null || raw === undefined || raw === "" ? null : Number(raw);
+  if (building_id !== null && !Number.isInteger(building_id)) return res.status(400).json({ ok: false, error: "bad building_id" });
+
+  const before = await adminGetBlock(query, code);
+  const out = await adminSetBlock(query, code, { name: req.body?.name, building_id });
+  if (!out.ok) return res.status(out.error === "BUILDING_NOT_FOUND" ? 404 : 400).json(out);
+
+  await audit(req, { action: "block.update", before, after: await adminGetBlock(query, out.code), meta: { block: out.code } });
+  res.json(out);
+});
+
+// ---- Admin accounts ----
+
+// Who am I (dashboard header)
+app.get("/admin/api/me", requireAdmin, async (req, res) => {
+  const acct = await adminGetAccount(query, req.admin.id);
+  res.json({
+    ok: true,
+    admin: req.admin,
+    csrf_token: ensureCsrfToken(req),
+    permissions: permissionsFor(req.admin.role),
+    flat_id_schema: describeFlatIdSchema(),
+    sql_console: { unavailable: SQL_CONSOLE_UNAVAILABLE },
+    totp: {
+      enabled: Boolean(acct?.totp_enabled),
+      recovery_codes_left: acct?.totp_enabled ? await adminCountRecoveryCodes(query, req.admin.id) : 0
+    }
+  });
+});
+
+// Begin 2FA enrollment: returns the secret + otpauth URI for the authenticator app
+app.post("/admin/api/me/2fa/setup", requireAdmin, async (req, res) => {
+  const out = await adminTotpBeginSetup(query, req.admin.id);
+  if (!out.ok) return res.status(400).json(out);
+
+  res.json({ ok: true, secret: out.secret, otpauth_uri: otpauthUri({ secret: out.secret, account: out.username }) });
+});
+
+// Finish 2FA enrollment with a code from the app; recovery codes are shown exactly once
+app.post("/admin/api/me/2fa/enable", requireAdmin, async (req, res) => {
+  const out = await adminTotpConfirmSetup(query, req.admin.id, String(req.body?.code || ""));
+  if (!out.ok) return res.status(400).json(out);
+
+  await audit(req, { action: "admin.2fa_enable", meta: { admin_id: req.admin.id } });
+  res.json(out);
+});
+
+// Turn own 2FA off (needs password + a current code)
+app.post("/admin/api/me/2fa/disable", requireAdmin, async (req, res) => {
+  const { password, code } = req.body || {};
+  const pw = await adminCheckPassword(query, req.admin.id, password);
+  if (!pw.ok) return res.status(403).json(pw);
+
+  const totp = await adminTotpVerifyLogin(query, req.admin.id, String(code || ""));
+  if (!totp.ok) return res.status(403).json(totp);
+
+  const out = await adminTotpDisable(query, req.admin.id);
+  await audit(req, { action: "admin.2fa_disable", meta: { admin_id: req.admin.id } });
+  res.json(out);
+});
+
+// Replace own recovery codes (needs a current code)
+app.post("/admin/api/me/2fa/recovery-codes", requireAdmin, async (req, res) => {
+  const out = await adminTotpRegenerateRecoveryCodes(query, req.admin.id, String(req.body?.code || ""));
+  if (!out.ok) return res.status(403).json(out);
+
+  await audit(req, { action: "admin.2fa_recovery_regen", meta: { admin_id: req.admin.id } });
+  res.json(out);
+});
+
+// Change own password
+app.post("/admin/api/me/password", requireAdmin, async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  const out = await adminChangePassword(query, req.admin.id, { current_password, new_password });
+  if (!out.ok) return res.status(out.error === "INVALID_CREDENTIALS" ? 403 : 400).json(out);
+
+  await audit(req, { action: "admin.password_change", meta: { admin_id: req.admin.id } });
+  res.json(out);
+});
+
+// List admin accounts
+app.get("/admin/api/admins", requirePermission("admins:manage"), async (req, res) => {
+  const rows = await adminListAccounts(query);
+  res.json({ ok: true, rows });
+});
+
+// Create admin account
+app.post("/admin/api/admins", requirePermission("admins:manage"), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  const out = await adminCreateAccount(query, { username, password, role: String(role || "viewer") });
+  if (!out.ok) return res.status(out.error === "USERNAME_TAKEN" ? 409 : 400).json(out);
+
+  await audit(req, {
+    action: "admin.create",
+    after: await adminGetAccount(query, out.id),
+    meta: { admin_id: out.id }
+  });
+  res.json(out);
+});
+
+// Deactivate/reactivate admin account
+app.post("/admin/api/admins/:id/disable", requirePermission("admins:manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
+
+  const disabled = Boolean(req.body?.disabled ?? true);
+  if (disabled && id === Number(req.admin.id)) {
+    return res.status(400).json({ ok: false, error: "CANNOT_DISABLE_SELF" });
+  }
+
+  const before = await adminGetAccount(query, id);
+  const out = await adminSetAccountActive(query, id, !disabled);
+  if (!out.ok) return res.status(out.error === "ADMIN_NOT_FOUND" ? 404 : 400).json(out);
+
+  await audit(req, {
+    action: disabled ? "admin.disable" : "admin.enable",
+    before,
+    after: await adminGetAccount(query, id),
+    meta: { admin_id: id }
+  });
+  res.json(out);
+});
+
+// Login lockouts (per-IP and per-username)
+app.get("/admin/api/login-lockouts", requirePermission("admins:manage"), async (req, res) => {
+  const includeStrikes = String(req.query.all || "") === "1";
+  const rows = await adminListLoginLockouts(query, { includeStrikes });
+  res.json({ ok: true, rows });
+});
+
+// Clear a lockout so the IP/username can try again immediately
+app.post("/admin/api/login-lockouts/clear", requirePermission("admins:manage"), async (req, res) => {
+  const key = String(req.body?.key || "");
+  if (!key) return res.status(400).json({ ok: false, error: "key required" });
+
+  const out = await adminClearLoginLockout(query, key);
+  if (!out.ok) return res.status(404).json(out);
+
+  await audit(req, { action: "admin.lockout_clear", meta: { key } });
+  res.json(out);
+});
+
+// Reset another admin's 2FA (lost device and recovery codes)
+app.post("/admin/api/admins/:id/2fa/reset", requirePermission("admins:manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
+
+  const before = await adminGetAccount(query, id);
+  const out = await adminTotpDisable(query, id);
+  if (!out.ok) return res.status(404).json(out);
+
+  await audit(req, { action: "admin.2fa_reset", before, after: await adminGetAccount(query, id), meta: { admin_id: id } });
+  res.json(out);
+});
+
+// Change admin role
+app.post("/admin/api/admins/:id/role", requirePermission("admins:manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
+
+  const role = String(req.body?.role || "");
+  if (!ROLES.includes(role)) return res.status(400).json({ ok: false, error: "BAD_ROLE" });
+
+  const before = await adminGetAccount(query, id);
+  const out = await adminSetAccountRole(query, id, role);
+  if (!out.ok) return res.status(out.error === "ADMIN_NOT_FOUND" ? 404 : 400).json(out);
+
+  await audit(req, {
+    action: "admin.role_change",
+    before,
+    after: await adminGetAccount(query, id),
+    meta: { admin_id: id }
+  });
+  res.json(out);
+});
+
+// Audit log (filter by action, flat_id and created_at range in epoch ms)
+app.get("/admin/api/audit", requirePermission("audit:view"), async (req, res) => {
+  const parsed = auditFilters(req);
+  if (!parsed.ok) return res.status(400).json(parsed);
+
+  const limit = Number(req.query.limit ?? 200);
+  const rows = await adminListAudit(query, {
+    ...parsed.filters,
+    limit: Number.isFinite(limit) ? Math.min(Math.max(limit, 1), 1000) : 200
+  });
+  res.json({ ok: true, rows });
+});
+
+// ---- Exports (?format=csv|json, same filters as the list endpoints, streamed) ----
+
+const EXPORT_TIME_COLS = new Set(["created_at", "updated_at", "last_login_at", "ban_until"]);
+
+function exportHandler(kind, parseFilters) {
+  return async (req, res) => {
+    const parsed = parseFilters(req);
+    if (!parsed.ok) return res.status(400).json(parsed);
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (format !== "csv" && format !== "json") return res.status(400).json({ ok: false, error: "format must be csv or json" });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audix-${kind}-${stamp}.${format}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    let rowCount = 0;
+    try {
+      let columns = null;
+      if (format === "json") res.write("[");
+
+      for await (const batch of adminExportBatches(query, kind, parsed.filters)) {
+        for (const row of batch) {
+          if (format === "csv") {
+            if (!columns) {
+              columns = Object.keys(row);
+              res.write(`\uFEFF${csvLine(columns)}`); // BOM so Excel reads UTF-8 names correctly
+            }
+            // ISO timestamps read better in a spreadsheet than epoch ms
+            res.write(csvLine(columns.map((c) => (
+              EXPORT_TIME_COLS.has(c) && row[c] !== null && row[c] !== undefined ? new Date(Number(row[c])).toISOString() : row[c]
+            ))));
+          } else {
+            res.write(`${rowCount ? "," : ""}\n${JSON.stringify(row)}`);
+          }
+          rowCount += 1;
+        }
+        // let the socket drain between batches instead of buffering the whole table
+        if (res.writableNeedDrain) await new Promise((r) => res.once("drain", r));
+      }
+
+      if (format === "json") res.write("\n]\n");
+      res.end();
+    } catch (e) {
+      console.error(`[EXPORT] ${kind} failed after ${rowCount} rows:`, e?.message || e);
+      res.destroy(e);
+      return;
+    }
+
+    await audit(req, { action: "export.download", meta: { kind, format, rows: rowCount, filters: parsed.filters } });
+  };
+}
+
+app.get("/admin/api/export/flats", requirePermission("flats:view"), exportHandler("flats", flatFilters));
+app.get("/admin/api/export/requests", requirePermission("requests:view"), exportHandler("requests", requestFilters));
+app.get("/admin/api/export/audit", requirePermission("audit:view"), exportHandler("audit", auditFilters));
+
 // Small JSON endpoint for quick checks
-app.get("/admin/api/metrics", requireAdmin, (req, res) => {
+app.get("/admin/api/metrics", requirePermission("monitor:view"), (req, res) => {
   const now = Date.now();
   pruneOldRequests(now);
 
@@ -321,24 +1472,126 @@ app.get("/admin/api/metrics", requireAdmin, (req, res) => {
   });
 });
 
-// ✅ Disable DB Viewer/Editor for Postgres for now (prevents crashes)
-app.get("/admin/api/db/tables", requireAdmin, (req, res) => {
-  res.status(501).json({ ok: false, error: "DB_VIEWER_DISABLED_ON_POSTGRES" });
+// ---- DB viewer / editor (allow-listed tables, see DB_VIEWER_TABLES in admin_db_pg.js) ----
+app.get("/admin/api/db/tables", requirePermission("db:view"), (req, res) => {
+  res.json({ ok: true, tables: adminDbTables() });
 });
-app.get("/admin/api/db/table/:table/meta", requireAdmin, (req, res) => {
-  res.status(501).json({ ok: false, error: "DB_VIEWER_DISABLED_ON_POSTGRES" });
+
+app.get("/admin/api/db/table/:table/meta", requirePermission("db:view"), async (req, res) => {
+  const out = await adminDbMeta(query, req.params.table);
+  if (!out.ok) return res.status(dbErrorStatus(out.error)).json(out);
+  res.json(out);
 });
-app.get("/admin/api/db/table/:table/rows", requireAdmin, (req, res) => {
-  res.status(501).json({ ok: false, error: "DB_VIEWER_DISABLED_ON_POSTGRES" });
+
+app.get("/admin/api/db/table/:table/rows", requirePermission("db:view"), async (req, res) => {
+  const limit = Number(req.query.limit ?? 50);
+  const offset = Number(req.query.offset ?? 0);
+  const out = await adminDbRows(query, req.params.table, {
+    limit: Number.isFinite(limit) ? Math.min(Math.max(Math.trunc(limit), 1), PAGE_MAX) : 50,
+    offset: Number.isFinite(offset) ? Math.max(Math.trunc(offset), 0) : 0
+  });
+  if (!out.ok) return res.status(dbErrorStatus(out.error)).json(out);
+  res.json(out);
 });
-app.post("/admin/api/db/table/:table/update", requireAdmin, (req, res) => {
-  res.status(501).json({ ok: false, error: "DB_VIEWER_DISABLED_ON_POSTGRES" });
+
+function dbErrorStatus(error) {
+  if (error === "UNKNOWN_TABLE" || error === "ROW_NOT_FOUND") return 404;
+  if (error === "TABLE_READ_ONLY") return 403;
+  return 400;
+}
+
+// Runs one DB-tab edit; constraint/type errors from the database come back as 400 DB_ERROR.
+// Every successful edit is audited with the row before/after (hidden columns never appear).
+function dbEditRoute(action, run) {
+  return async (req, res) => {
+    const table = req.params.table;
+    let out;
+    try {
+      out = await run(table, req.body || {});
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: "DB_ERROR", detail: e.message });
+    }
+    if (!out.ok) return res.status(dbErrorStatus(out.error)).json(out);
+
+    const row = out.after || out.before;
+    await audit(req, {
+      action,
+      flat_id: typeof row?.flat_id === "string" ? row.flat_id : null,
+      before: out.before || null,
+      after: out.after || null,
+      meta: { table, pk: req.body?.pk || null }
+    });
+    res.json({ ok: true, row: out.after || null });
+  };
+}
+
+app.post("/admin/api/db/table/:table/update", requirePermission("db:edit"),
+  dbEditRoute("db.update", (table, body) => adminDbUpdate(query, table, { pk: body.pk, values: body.values })));
+app.post("/admin/api/db/table/:table/delete", requirePermission("db:edit"),
+  dbEditRoute("db.delete", (table, body) => adminDbDelete(query, table, { pk: body.pk })));
+app.post("/admin/api/db/table/:table/insert", requirePermission("db:edit"),
+  dbEditRoute("db.insert", (table, body) => adminDbInsert(query, table, { values: body.values })));
+
+// ---- SQL console (SELECT only, read-only transaction, statement timeout, row cap) ----
+
+app.post("/admin/api/db/console", requirePermission("db:console"), async (req, res) => {
+  const sql = String(req.body?.sql || "");
+  const savedId = req.body?.saved_query_id ?? null;
+
+  let out;
+  const unavailable = SQL_CONSOLE_UNAVAILABLE;
+  try {
+    out = unavailable
+      ? { ok: false, error: "CONSOLE_UNAVAILABLE", reason: unavailable }
+      : await withReadOnlyTransaction((tq) => adminConsoleQuery(tq, sql), {
+        timeoutMs: SQL_CONSOLE.timeoutMs,
+        role: SQL_CONSOLE.role,
+        hide: SQL_CONSOLE.hide
+      });
+  } catch (e) {
+    // 57014 = query_canceled, which is how statement_timeout surfaces
+    out = e.code === "57014"
+      ? { ok: false, error: "STATEMENT_TIMEOUT", timeout_ms: SQL_CONSOLE.timeoutMs }
+      : { ok: false, error: "SQL_ERROR", detail: e.message };
+  }
+
+  // every run is audited, including failures, with the statement (truncated) but not the results
+  await audit(req, {
+    action: "db.console",
+    meta: {
+      sql: sql.slice(0, 2000),
+      saved_query_id: savedId,
+      ok: out.ok,
+      ...(out.ok ? { rows: out.rows.length, truncated: out.truncated, ms: out.ms } : { error: out.error })
+    }
+  });
+
+  if (!out.ok) return res.status(unavailable ? 503 : 400).json(out);
+  res.json(out);
 });
-app.post("/admin/api/db/table/:table/delete", requireAdmin, (req, res) => {
-  res.status(501).json({ ok: false, error: "DB_VIEWER_DISABLED_ON_POSTGRES" });
+
+app.get("/admin/api/db/saved-queries", requirePermission("db:console"), async (req, res) => {
+  res.json({ ok: true, queries: await adminListSavedQueries(query) });
+});
+
+app.post("/admin/api/db/saved-queries", requirePermission("db:console"), async (req, res) => {
+  const out = await adminSaveQuery(query, { name: req.body?.name, sql: req.body?.sql, created_by: req.admin.username });
+  if (!out.ok) return res.status(400).json(out);
+
+  await audit(req, { action: "db.query_save", after: out.query, meta: { saved_query_id: out.query.id } });
+  res.json(out);
 });
-app.post("/admin/api/db/table/:table/insert", requireAdmin, (req, res) => {
-  res.status(501).json({ ok: false, error: "DB_VIEWER_DISABLED_ON_POSTGRES" });
+
+app.post("/admin/api/db/saved-queries/:id/delete", requirePermission("db:console"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad id" });
+
+  const before = await adminGetSavedQuery(query, id);
+  const out = await adminDeleteSavedQuery(query, id);
+  if (!out.ok) return res.status(404).json(out);
+
+  await audit(req, { action: "db.query_delete", before, meta: { saved_query_id: id } });
+  res.json(out);
 });
 
 // --- WebSocket live updates (admin only) ---
@@ -408,8 +1661,9 @@ server.on("upgrade", (req, socket, head) => {
     return;
   }
 
-  sessionParser(req, {}, () => {
-    if (!req.session?.isAdmin) {
+  sessionParser(req, {}, async () => {
+    const acct = req.session?.admin?.id ? await adminGetAccount(query, req.session.admin.id).catch(() => null) : null;
+    if (!acct?.is_active || !roleHas(acct.role, "monitor:view")) {
       socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
       socket.destroy();
       return;
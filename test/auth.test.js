@@ -0,0 +1,358 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startServer, loginAs, ADMIN_USERNAME, ADMIN_PASSWORD } from "./helpers.js";
+import { totpAt } from "../totp.js";
+
+describe("login, sessions and CSRF", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("serves the login page and redirects / there", async () => {
+    const c = server.client();
+    assert.equal((await c.get("/admin/login")).status, 200);
+
+    const root = await c.get("/");
+    assert.equal(root.status, 302);
+    assert.equal(root.headers.get("location"), "/admin/login");
+  });
+
+  it("refuses a wrong password with 401 and records a strike", async () => {
+    const res = await server.client().login(ADMIN_USERNAME, "not-the-password");
+    assert.equal(res.status, 401);
+
+    const lockouts = await admin.get("/admin/api/login-lockouts?all=1");
+    assert.equal(lockouts.status, 200);
+    assert.ok(lockouts.body.rows.some((r) => r.key === `user:${ADMIN_USERNAME}` && r.strike_count >= 1));
+  });
+
+  it("rejects a malformed login body", async () => {
+    const res = await server.client().post("/admin/login", { username: ["x"], password: 1 });
+    assert.equal(res.status, 400);
+  });
+
+  it("keeps API routes and the dashboard behind a session", async () => {
+    const c = server.client();
+    const api = await c.get("/admin/api/requests");
+    assert.equal(api.status, 401);
+    assert.equal(api.body.error, "UNAUTHORIZED");
+
+    const page = await c.get("/admin");
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get("location"), "/admin/login");
+  });
+
+  it("signs in and reports the account, permissions and flat ID layout", async () => {
+    const me = await admin.get("/admin/api/me");
+    assert.equal(me.status, 200);
+    assert.equal(me.body.admin.username, ADMIN_USERNAME);
+    assert.equal(me.body.admin.role, "superadmin");
+    assert.ok(me.body.permissions.includes("db:console"));
+    assert.equal(me.body.flat_id_schema.separator, "-");
+    assert.equal(me.body.totp.enabled, false);
+    assert.ok(me.body.csrf_token);
+
+    assert.equal((await admin.get("/admin")).status, 200);
+  });
+
+  it("refuses mutating API calls without the CSRF token", async () => {
+    const missing = await admin.post("/admin/api/requests", { flat_id: "A-101", name: "x" }, { csrf: false });
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.error, "CSRF_INVALID");
+
+    const wrong = await admin.post("/admin/api/requests", { flat_id: "A-101", name: "x" }, {
+      csrf: false,
+      headers: { "x-csrf-token": "nope" }
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.error, "CSRF_INVALID");
+  });
+
+  it("logs out and destroys the session", async () => {
+    const c = await server.login();
+    const out = await c.post("/admin/logout");
+    assert.equal(out.status, 302);
+    assert.equal((await c.get("/admin/api/me")).status, 401);
+
+    const audit = await admin.get("/admin/api/audit?action=admin.logout");
+    assert.ok(audit.body.rows.length >= 1);
+  });
+});
+
+describe("admin accounts and roles", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("creates accounts and rejects duplicates and short passwords", async () => {
+    const created = await admin.post("/admin/api/admins", { username: "olga", password: "long-enough-pw", role: "operator" });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.role, "operator");
+
+    const dup = await admin.post("/admin/api/admins", { username: "olga", password: "long-enough-pw" });
+    assert.equal(dup.status, 409);
+    assert.equal(dup.body.error, "USERNAME_TAKEN");
+
+    const short = await admin.post("/admin/api/admins", { username: "shorty", password: "short" });
+    assert.equal(short.status, 400);
+
+    const list = await admin.get("/admin/api/admins");
+    assert.deepEqual(list.body.rows.map((r) => r.username).sort(), ["admin", "olga"]);
+  });
+
+  it("limits a viewer to read-only routes", async () => {
+    const viewer = await loginAs(server, admin, { username: "vera", role: "viewer" });
+
+    assert.equal((await viewer.get("/admin/api/requests")).status, 200);
+    assert.equal((await viewer.get("/admin/api/flats")).status, 200);
+
+    const create = await viewer.post("/admin/api/requests", { flat_id: "A-101", name: "x" });
+    assert.equal(create.status, 403);
+    assert.equal(create.body.error, "FORBIDDEN");
+    assert.equal(create.body.permission, "requests:create");
+
+    assert.equal((await viewer.get("/admin/api/admins")).status, 403);
+    assert.equal((await viewer.get("/admin/api/db/tables")).status, 403);
+  });
+
+  it("changes roles and refuses unknown ones", async () => {
+    const acct = await admin.post("/admin/api/admins", { username: "rolf", password: "long-enough-pw", role: "viewer" });
+
+    const bad = await admin.post(`/admin/api/admins/${acct.body.id}/role`, { role: "root" });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "BAD_ROLE");
+
+    const ok = await admin.post(`/admin/api/admins/${acct.body.id}/role`, { role: "operator" });
+    assert.equal(ok.status, 200);
+
+    const rolf = await server.login("rolf", "long-enough-pw");
+    const me = await rolf.get("/admin/api/me");
+    assert.equal(me.body.admin.role, "operator");
+  });
+
+  it("disabling an account ends its session at once, but never your own", async () => {
+    const self = await admin.get("/admin/api/me");
+    const selfOut = await admin.post(`/admin/api/admins/${self.body.admin.id}/disable`, { disabled: true });
+    assert.equal(selfOut.status, 400);
+    assert.equal(selfOut.body.error, "CANNOT_DISABLE_SELF");
+
+    const acct = await admin.post("/admin/api/admins", { username: "dora", password: "long-enough-pw", role: "operator" });
+    const dora = await server.login("dora", "long-enough-pw");
+
+    assert.equal((await admin.post(`/admin/api/admins/${acct.body.id}/disable`, { disabled: true })).status, 200);
+    assert.equal((await dora.get("/admin/api/me")).status, 401);
+    assert.equal((await server.client().login("dora", "long-enough-pw")).status, 401);
+
+    assert.equal((await admin.post(`/admin/api/admins/${acct.body.id}/disable`, { disabled: false })).status, 200);
+    await server.login("dora", "long-enough-pw");
+  });
+
+  it("changes the own password only with the current one", async () => {
+    const acct = await loginAs(server, admin, { username: "pete", role: "viewer", password: "first-password-1" });
+
+    const wrong = await acct.post("/admin/api/me/password", { current_password: "nope", new_password: "second-password-2" });
+    assert.equal(wrong.status, 403);
+
+    const ok = await acct.post("/admin/api/me/password", { current_password: "first-password-1", new_password: "second-password-2" });
+    assert.equal(ok.status, 200);
+
+    assert.equal((await server.client().login("pete", "first-password-1")).status, 401);
+    await server.login("pete", "second-password-2");
+  });
+
+  it("clears a login lockout", async () => {
+    const acct = await admin.post("/admin/api/admins", { username: "lock", password: "long-enough-pw", role: "viewer" });
+    assert.equal(acct.status, 200);
+    await server.client().login("lock", "wrong-password");
+
+    const missing = await admin.post("/admin/api/login-lockouts/clear", {});
+    assert.equal(missing.status, 400);
+
+    const cleared = await admin.post("/admin/api/login-lockouts/clear", { key: "user:lock" });
+    assert.equal(cleared.status, 200);
+
+    const again = await admin.post("/admin/api/login-lockouts/clear", { key: "user:lock" });
+    assert.equal(again.status, 404);
+  });
+});
+
+describe("two-factor login", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("enrols, then asks for a second step that accepts a recovery code once", async () => {
+    const user = await loginAs(server, admin, { username: "tina", role: "viewer", password: "tina-password-1" });
+
+    const setup = await user.post("/admin/api/me/2fa/setup");
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.otpauth_uri, /^otpauth:\/\/totp\//);
+
+    const code = totpAt(setup.body.secret);
+    const badCode = await user.post("/admin/api/me/2fa/enable", { code: code === "000000" ? "111111" : "000000" });
+    assert.equal(badCode.status, 400);
+
+    const enabled = await user.post("/admin/api/me/2fa/enable", { code });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recovery_codes.length > 0, true);
+
+    // password alone now only reaches the second step
+    const c = server.client();
+    const first = await c.login("tina", "tina-password-1");
+    assert.equal(first.status, 302);
+    assert.equal(first.headers.get("location"), "/admin/login/2fa");
+    assert.equal((await c.get("/admin/api/me")).status, 401);
+    assert.equal((await c.get("/admin/login/2fa")).status, 200);
+    const preLogin = c.cookie;
+
+    const form = { "content-type": "application/x-www-form-urlencoded" };
+    const wrong = await c.request("POST", "/admin/login/2fa", { body: "code=12345678", headers: form });
+    assert.equal(wrong.status, 401);
+
+    const recovery = enabled.body.recovery_codes[0];
+    const second = await c.request("POST", "/admin/login/2fa", { body: `code=${encodeURIComponent(recovery)}`, headers: form });
+    assert.equal(second.status, 302);
+    assert.equal(second.headers.get("location"), "/admin");
+    await c.refreshCsrf();
+    assert.equal((await c.get("/admin/api/me")).body.totp.enabled, true);
+
+    // signing in swaps the session ID; the pre-login one stays unauthenticated
+    assert.notEqual(c.cookie, preLogin);
+    const planted = server.client();
+    planted.cookie = preLogin;
+    assert.equal((await planted.get("/admin/api/me")).status, 401);
+
+    // burned: the same recovery code does not work twice
+    const c2 = server.client();
+    await c2.login("tina", "tina-password-1");
+    const reuse = await c2.request("POST", "/admin/login/2fa", { body: `code=${encodeURIComponent(recovery)}`, headers: form });
+    assert.equal(reuse.status, 401);
+  });
+
+  it("refuses the second step without a pending login", async () => {
+    const c = server.client();
+    assert.equal((await c.get("/admin/login/2fa")).status, 302);
+    const res = await c.request("POST", "/admin/login/2fa", {
+      body: "code=123456",
+      headers: { "content-type": "application/x-www-form-urlencoded" }
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("lets a superadmin reset another account's 2FA", async () => {
+    const user = await loginAs(server, admin, { username: "ulla", role: "viewer", password: "ulla-password-1" });
+    const setup = await user.post("/admin/api/me/2fa/setup");
+    await user.post("/admin/api/me/2fa/enable", { code: totpAt(setup.body.secret) });
+
+    const list = await admin.get("/admin/api/admins");
+    const ulla = list.body.rows.find((r) => r.username === "ulla");
+    assert.equal(ulla.totp_enabled, true);
+
+    assert.equal((await admin.post(`/admin/api/admins/${ulla.id}/2fa/reset`)).status, 200);
+
+    const res = await server.client().login("ulla", "ulla-password-1");
+    assert.equal(res.headers.get("location"), "/admin");
+  });
+
+  it("needs the password and a current code to turn 2FA off", async () => {
+    const user = await loginAs(server, admin, { username: "otto", role: "viewer", password: "otto-password-1" });
+    const setup = await user.post("/admin/api/me/2fa/setup");
+    const enabled = await user.post("/admin/api/me/2fa/enable", { code: totpAt(setup.body.secret) });
+
+    const noPw = await user.post("/admin/api/me/2fa/disable", { password: "nope", code: enabled.body.recovery_codes[0] });
+    assert.equal(noPw.status, 403);
+
+    const regen = await user.post("/admin/api/me/2fa/recovery-codes", { code: enabled.body.recovery_codes[0] });
+    assert.equal(regen.status, 200);
+    assert.notDeepEqual(regen.body.recovery_codes, enabled.body.recovery_codes);
+
+    const off = await user.post("/admin/api/me/2fa/disable", { password: "otto-password-1", code: regen.body.recovery_codes[0] });
+    assert.equal(off.status, 200);
+    assert.equal((await user.get("/admin/api/me")).body.totp.enabled, false);
+  });
+});
+
+describe("login lockout", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({ env: { ADMIN_LOGIN_FREE_ATTEMPTS: "3", ADMIN_LOGIN_LOCK_BASE_SEC: "1" } });
+    admin = await server.login();
+    await loginAs(server, admin, { username: "lena", role: "viewer", password: "lena-password-1" });
+  });
+  after(() => server?.stop());
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const lockFor = async (key) => {
+    const rows = (await admin.get("/admin/api/login-lockouts?all=1")).body.rows;
+    return rows.find((r) => r.key === key);
+  };
+  const clearAll = async () => {
+    for (const r of (await admin.get("/admin/api/login-lockouts?all=1")).body.rows) {
+      assert.equal((await admin.post("/admin/api/login-lockouts/clear", { key: r.key })).status, 200);
+    }
+  };
+
+  it("locks out past the free attempts, doubles the backoff and lets in again once cleared", async () => {
+    for (let i = 0; i < 3; i++) assert.equal((await server.client().login("lena", "wrong-password")).status, 401);
+
+    const locked = await server.client().login("lena", "wrong-password");
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get("retry-after"), "1");
+    // the right password does not get past an active lock either
+    assert.equal((await server.client().login("lena", "lena-password-1")).status, 429);
+
+    const first = await lockFor("user:lena");
+    assert.equal(first.locked, true);
+    assert.equal(first.strike_count, 3);
+    assert.equal(Number(first.locked_until) - Number(first.last_failed_at), 1000);
+    assert.ok((await admin.get("/admin/api/login-lockouts")).body.rows.some((r) => r.key === "user:lena"));
+
+    await sleep(1100);
+    assert.equal((await server.client().login("lena", "wrong-password")).status, 401);
+    const second = await lockFor("user:lena");
+    assert.equal(second.strike_count, 4);
+    assert.equal(Number(second.locked_until) - Number(second.last_failed_at), 2000);
+
+    const again = await server.client().login("lena", "wrong-password");
+    assert.equal(again.status, 429);
+    assert.equal(again.headers.get("retry-after"), "2");
+
+    await clearAll();
+    const res = await server.client().login("lena", "lena-password-1");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "/admin");
+    assert.equal(await lockFor("user:lena"), undefined);
+  });
+
+  it("refuses to boot with a throttle setting that is not a number", async () => {
+    await assert.rejects(startServer({ env: { ADMIN_LOGIN_FREE_ATTEMPTS: "five" } }), /ADMIN_LOGIN_FREE_ATTEMPTS/);
+    await assert.rejects(startServer({ env: { ADMIN_LOGIN_LOCK_BASE_SEC: "30s" } }), /ADMIN_LOGIN_LOCK_BASE_SEC/);
+  });
+
+  it("lets exactly the free attempts through a concurrent burst", async () => {
+    await clearAll();
+    const burst = await Promise.all(Array.from({ length: 12 }, () => server.client().login("lena", "wrong-password")));
+    const statuses = burst.map((r) => r.status);
+    assert.equal(statuses.filter((s) => s === 401).length, 3);
+    assert.equal(statuses.filter((s) => s === 429).length, 9);
+    assert.ok(burst.filter((r) => r.status === 429).every((r) => r.headers.get("retry-after") === "1"));
+  });
+});
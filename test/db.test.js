@@ -0,0 +1,295 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startServer, loginAs } from "./helpers.js";
+
+describe("DB viewer and editor", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+    const req = await admin.post("/admin/api/requests", { flat_id: "A-101", name: "Ann" });
+    await admin.post(`/admin/api/requests/${req.body.id}/approve`, { issue_code: true });
+  });
+  after(() => server?.stop());
+
+  it("lists only allow-listed tables and hides secret columns", async () => {
+    const tables = await admin.get("/admin/api/db/tables");
+    assert.ok(tables.body.tables.includes("flats"));
+    assert.ok(!tables.body.tables.includes("admins"));
+
+    const meta = await admin.get("/admin/api/db/table/flats/meta");
+    assert.equal(meta.status, 200);
+    assert.deepEqual(meta.body.pkCols, ["flat_id"]);
+    const names = meta.body.cols.map((c) => c.name);
+    assert.ok(names.includes("strike_count"));
+    assert.ok(!names.includes("password_hash"));
+    assert.ok(!names.includes("pin_hash"));
+
+    const rows = await admin.get("/admin/api/db/table/setup_codes/rows");
+    assert.equal(rows.body.total, 1);
+    assert.equal(rows.body.rows[0].code_hash, undefined);
+
+    assert.equal((await admin.get("/admin/api/db/table/admins/meta")).status, 404);
+    assert.equal((await admin.get("/admin/api/db/table/admin_sessions/rows")).status, 404);
+  });
+
+  it("inserts, updates and deletes rows and audits each change", async () => {
+    const ins = await admin.post("/admin/api/db/table/buildings/insert", { values: { name: "East", created_at: "1700000000000" } });
+    assert.equal(ins.status, 200, JSON.stringify(ins.body));
+    const id = ins.body.row.id;
+
+    const upd = await admin.post("/admin/api/db/table/buildings/update", { pk: { id }, values: { name: "East Wing" } });
+    assert.equal(upd.body.row.name, "East Wing");
+
+    const unknownCol = await admin.post("/admin/api/db/table/buildings/update", { pk: { id }, values: { nope: "x" } });
+    assert.equal(unknownCol.status, 400);
+    assert.equal(unknownCol.body.error, "UNKNOWN_COLUMN");
+
+    const dupe = await admin.post("/admin/api/db/table/buildings/insert", { values: { name: "East Wing", created_at: "1" } });
+    assert.equal(dupe.status, 400);
+    assert.equal(dupe.body.error, "DB_ERROR");
+
+    assert.equal((await admin.post("/admin/api/db/table/buildings/delete", { pk: { id } })).status, 200);
+    assert.equal((await admin.post("/admin/api/db/table/buildings/delete", { pk: { id } })).status, 404);
+
+    const audit = await admin.get("/admin/api/audit?action=db.update");
+    assert.equal(audit.body.rows[0].before.name, "East");
+    assert.equal(audit.body.rows[0].after.name, "East Wing");
+  });
+
+  it("stores flat IDs canonical and derives block_code, as the other write paths do", async () => {
+    const meta = await admin.get("/admin/api/db/table/flats/meta");
+    assert.deepEqual(meta.body.derived, ["block_code"]);
+
+    const ins = await admin.post("/admin/api/db/table/flats/insert", {
+      values: { flat_id: "a502", status: "ACTIVE", block_code: "Z", created_at: "1", updated_at: "1" }
+    });
+    assert.equal(ins.status, 200, JSON.stringify(ins.body));
+    assert.equal(ins.body.row.flat_id, "A-502");
+    assert.equal(ins.body.row.block_code, "A");
+
+    const bad = await admin.post("/admin/api/db/table/flats/insert", { values: { flat_id: "GUARDROOM", created_at: "1", updated_at: "1" } });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "BAD_FLAT_ID");
+
+    const reqs = await admin.get("/admin/api/db/table/flat_requests/rows");
+    const upd = await admin.post("/admin/api/db/table/flat_requests/update", {
+      pk: { id: reqs.body.rows[0].id },
+      values: { flat_id: "b202", block_code: "Z" }
+    });
+    assert.equal(upd.status, 200, JSON.stringify(upd.body));
+    assert.equal(upd.body.row.flat_id, "B-202");
+    assert.equal(upd.body.row.block_code, "B");
+  });
+
+  it("refuses writes to read-only tables and to non-superadmins", async () => {
+    const ro = await admin.post("/admin/api/db/table/admin_audit/delete", { pk: { id: 1 } });
+    assert.equal(ro.status, 403);
+    assert.equal(ro.body.error, "TABLE_READ_ONLY");
+
+    const operator = await loginAs(server, admin, { username: "omar", role: "operator" });
+    assert.equal((await operator.get("/admin/api/db/tables")).status, 403);
+    assert.equal((await operator.post("/admin/api/db/console", { sql: "select 1" })).status, 403);
+  });
+});
+
+describe("SQL console", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({ env: { SQL_CONSOLE_MAX_ROWS: "2", SQL_CONSOLE_TIMEOUT_MS: "1500" } });
+    admin = await server.login();
+    for (const f of ["A-101", "A-102", "A-103"]) await admin.post("/admin/api/requests", { flat_id: f, name: "x" });
+  });
+  after(() => server?.stop());
+
+  it("runs a SELECT and caps the rows", async () => {
+    const out = await admin.post("/admin/api/db/console", { sql: "SELECT flat_id FROM flat_requests ORDER BY flat_id;" });
+    assert.equal(out.status, 200);
+    assert.deepEqual(out.body.columns, ["flat_id"]);
+    assert.deepEqual(out.body.rows.map((r) => r.flat_id), ["A-101", "A-102"]);
+    assert.equal(out.body.truncated, true);
+    assert.equal(out.body.max_rows, 2);
+  });
+
+  it("refuses anything but one SELECT and never writes", async () => {
+    const del = await admin.post("/admin/api/db/console", { sql: "DELETE FROM flat_requests" });
+    assert.equal(del.body.error, "SELECT_ONLY");
+
+    const two = await admin.post("/admin/api/db/console", { sql: "SELECT 1; SELECT 2" });
+    assert.equal(two.body.error, "ONE_STATEMENT_ONLY");
+
+    // a semicolon inside a literal is not a second statement
+    const literal = await admin.post("/admin/api/db/console", { sql: "SELECT flat_id FROM flat_requests WHERE note = 'a;b'; -- done" });
+    assert.equal(literal.status, 200, JSON.stringify(literal.body));
+
+    // a data-modifying CTE gets past the prefix check; the read-only transaction stops it
+    const cte = await admin.post("/admin/api/db/console", {
+      sql: "WITH gone AS (DELETE FROM flat_requests RETURNING id) SELECT * FROM gone"
+    });
+    assert.equal(cte.status, 400);
+    assert.equal(cte.body.error, "SQL_ERROR");
+
+    const bad = await admin.post("/admin/api/db/console", { sql: "SELECT * FROM no_such_table" });
+    assert.equal(bad.body.error, "SQL_ERROR");
+
+    const count = await admin.post("/admin/api/db/console", { sql: "SELECT COUNT(*) AS n FROM flat_requests" });
+    assert.equal(Number(count.body.rows[0].n), 3);
+
+    const audit = await admin.get("/admin/api/audit?action=db.console");
+    assert.equal(audit.body.rows.length, 7);
+    assert.ok(audit.body.rows.some((r) => r.meta.error === "SELECT_ONLY"));
+  });
+
+  it("keeps the tables the DB tab hides out of reach", async () => {
+    for (const sql of [
+      "SELECT username, password_hash, totp_secret FROM admins",
+      "SELECT sid, sess FROM \"admin_sessions\"",
+      "select * from main.admin_recovery_codes",
+      "SELECT * FROM flats f JOIN admin_login_attempts a ON a.key = f.flat_id",
+      // SQLite takes a string literal as a table name
+      "SELECT username, password_hash FROM 'admins'",
+      "SELECT sid FROM flats, 'admin_sessions'",
+      "SELECT * FROM [admins]",
+      // Postgres decodes U& identifiers
+      "SELECT * FROM U&\"\\0061dmins\"",
+      "SELECT * FROM U&\"!0061dmin_sessions\" UESCAPE '!'"
+    ]) {
+      const out = await admin.post("/admin/api/db/console", { sql });
+      assert.equal(out.status, 400, sql);
+      assert.equal(out.body.error, "TABLE_NOT_ALLOWED", sql);
+    }
+
+    const dynamic = await admin.post("/admin/api/db/console", { sql: "SELECT query_to_xml('select * from adm' || 'ins', true, true, '')" });
+    assert.equal(dynamic.body.error, "FUNCTION_NOT_ALLOWED");
+    for (const sql of ["SELECT * FROM ts_stat('select sid from admin_' || 'sessions')", "SELECT ts_rewrite('a'::tsquery, 'select 1')"]) {
+      assert.equal((await admin.post("/admin/api/db/console", { sql })).body.error, "FUNCTION_NOT_ALLOWED", sql);
+    }
+
+    // the same word as a plain value is fine
+    const value = await admin.post("/admin/api/db/console", { sql: "SELECT flat_id FROM flat_requests WHERE note = 'admins'" });
+    assert.equal(value.status, 200, JSON.stringify(value.body));
+
+    const saved = await admin.post("/admin/api/db/saved-queries", { name: "hashes", sql: "SELECT password_hash FROM admins" });
+    assert.equal(saved.status, 400);
+  });
+
+  it("keeps the columns the DB tab hides out of reach", async () => {
+    assert.equal((await admin.get("/admin/api/me")).body.sql_console.unavailable, null);
+
+    const flats = await admin.post("/admin/api/db/console", { sql: "SELECT * FROM flats" });
+    assert.equal(flats.status, 200, JSON.stringify(flats.body));
+    assert.ok(flats.body.columns.includes("flat_id"));
+    assert.ok(!flats.body.columns.includes("password_hash") && !flats.body.columns.includes("pin_hash"));
+
+    for (const sql of ["SELECT password_hash FROM flats", "SELECT f.pin_hash FROM flats f", "SELECT code_hash FROM setup_codes"]) {
+      const out = await admin.post("/admin/api/db/console", { sql });
+      assert.equal(out.body.error, "SQL_ERROR", sql);
+    }
+
+    for (const sql of ["SELECT * FROM main.flats", "SELECT * FROM 'main'.setup_codes", "SELECT * FROM [main].flats"]) {
+      const out = await admin.post("/admin/api/db/console", { sql });
+      assert.equal(out.body.error, "SCHEMA_NOT_ALLOWED", sql);
+    }
+  });
+
+  it("passes literals through untouched on SQLite", async () => {
+    const out = await admin.post("/admin/api/db/console", { sql: "SELECT 'x::y' AS cast_like, 'LEAST(1)' AS fn_like, COUNT(*)::int AS n FROM flat_requests" });
+    assert.equal(out.status, 200, JSON.stringify(out.body));
+    assert.deepEqual(out.body.rows[0], { cast_like: "x::y", fn_like: "LEAST(1)", n: 3 });
+  });
+
+  it("stops a runaway query at the timeout and keeps serving", async () => {
+    const started = Date.now();
+    const out = await admin.post("/admin/api/db/console", {
+      sql: "WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM r) SELECT COUNT(*) FROM r"
+    });
+    assert.equal(out.status, 400);
+    assert.equal(out.body.error, "STATEMENT_TIMEOUT");
+    assert.ok(Date.now() - started < 10_000);
+
+    const after = await admin.post("/admin/api/db/console", { sql: "SELECT COUNT(*) AS n FROM flat_requests" });
+    assert.equal(Number(after.body.rows[0].n), 3);
+  });
+
+  it("saves, replaces and deletes named queries", async () => {
+    const saved = await admin.post("/admin/api/db/saved-queries", { name: "pending", sql: "SELECT 1" });
+    assert.equal(saved.status, 200);
+
+    const replaced = await admin.post("/admin/api/db/saved-queries", { name: "pending", sql: "SELECT 2" });
+    assert.equal(replaced.body.query.id, saved.body.query.id);
+
+    const list = await admin.get("/admin/api/db/saved-queries");
+    assert.deepEqual(list.body.queries.map((q) => [q.name, q.sql]), [["pending", "SELECT 2"]]);
+
+    assert.equal((await admin.post("/admin/api/db/saved-queries", { name: "", sql: "SELECT 1" })).status, 400);
+
+    const del = await admin.post(`/admin/api/db/saved-queries/${saved.body.query.id}/delete`);
+    assert.equal(del.status, 200);
+    assert.equal((await admin.post(`/admin/api/db/saved-queries/${saved.body.query.id}/delete`)).status, 404);
+  });
+
+  it("records applied schema migrations", async () => {
+    const out = await admin.post("/admin/api/db/console", { sql: "SELECT version, name FROM schema_migrations ORDER BY version" });
+    assert.deepEqual(out.body.rows[0], { version: 1, name: "initial" });
+  });
+});
+
+describe("SQL console on an in-memory database", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({ env: { DATABASE_URL: "sqlite::memory:" } });
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("reports the console as off instead of failing every run", async () => {
+    assert.equal((await admin.get("/admin/api/me")).body.sql_console.unavailable, "CONSOLE_NEEDS_DB_FILE");
+
+    const out = await admin.post("/admin/api/db/console", { sql: "SELECT 1" });
+    assert.equal(out.status, 503);
+    assert.equal(out.body.error, "CONSOLE_UNAVAILABLE");
+    assert.equal(out.body.reason, "CONSOLE_NEEDS_DB_FILE");
+  });
+});
+
+describe("audit log", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("records who did what to which flat and filters by action, flat and time", async () => {
+    const started = Date.now();
+    const req = await admin.post("/admin/api/requests", { flat_id: "b202", name: "Bo" });
+    await admin.post(`/admin/api/requests/${req.body.id}/reject`, { category: "WRONG_FLAT" });
+
+    const byFlat = await admin.get("/admin/api/audit?flat_id=B202");
+    assert.deepEqual(byFlat.body.rows.map((r) => r.action).sort(), ["request.create", "request.reject"]);
+    assert.ok(byFlat.body.rows.every((r) => r.actor === "admin" && r.flat_id === "B-202"));
+
+    const reject = byFlat.body.rows.find((r) => r.action === "request.reject");
+    assert.equal(reject.before.status, "PENDING");
+    assert.equal(reject.after.status, "REJECTED");
+
+    const logins = await admin.get("/admin/api/audit?action=admin.login");
+    assert.equal(logins.body.rows.length, 1);
+
+    const future = await admin.get(`/admin/api/audit?from=${Date.now() + 60_000}`);
+    assert.deepEqual(future.body.rows, []);
+    const since = await admin.get(`/admin/api/audit?from=${started}&limit=1`);
+    assert.equal(since.body.rows.length, 1);
+
+    assert.equal((await admin.get("/admin/api/audit?from=yesterday")).status, 400);
+  });
+});
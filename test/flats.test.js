@@ -0,0 +1,440 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import WebSocket from "ws";
+
+import { startServer, loginAs } from "./helpers.js";
+
+// Resolves with the first message, or with { status } when the upgrade is refused
+function wsFirstMessage(server, cookie = "") {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}/admin/ws`, { headers: cookie ? { cookie } : {} });
+    ws.once("message", (data) => {
+      ws.close();
+      resolve({ message: JSON.parse(data.toString()) });
+    });
+    ws.once("unexpected-response", (req, res) => {
+      req.destroy();
+      resolve({ status: res.statusCode });
+    });
+    ws.once("error", reject);
+  });
+}
+
+// Request + approve: the only way the admin API creates a flat
+async function approvedFlat(client, flat_id) {
+  const created = await client.post("/admin/api/requests", { flat_id, name: "Resident" });
+  const out = await client.post(`/admin/api/requests/${created.body.id}/approve`);
+  assert.equal(out.status, 200, JSON.stringify(out.body));
+  return out.body.flat_id;
+}
+
+describe("flats and setup codes", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("issues a setup code and supersedes the previous one", async () => {
+    await approvedFlat(admin, "A-101");
+
+    const first = await admin.post("/admin/api/flats/a101/setup-code", { ttlMinutes: 15 });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.flat_id, "A-101");
+    assert.equal(first.body.superseded, 0);
+
+    const second = await admin.post("/admin/api/flats/A-101/setup-code");
+    assert.equal(second.body.superseded, 1);
+    assert.notEqual(second.body.code, first.body.code);
+
+    const codes = await admin.get("/admin/api/flats/A-101/setup-codes");
+    assert.deepEqual(codes.body.rows.map((r) => r.status), ["ACTIVE", "SUPERSEDED"]);
+
+    const unknown = await admin.post("/admin/api/flats/Z-999/setup-code");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, "FLAT_NOT_FOUND");
+
+    const bad = await admin.post("/admin/api/flats/nope/setup-code");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "BAD_FLAT_ID");
+  });
+
+  it("revokes only an active setup code", async () => {
+    const codes = await admin.get("/admin/api/flats/A-101/setup-codes");
+    const [active, superseded] = codes.body.rows;
+
+    assert.equal((await admin.post(`/admin/api/flats/A-101/setup-codes/${superseded.id}/revoke`)).status, 409);
+    assert.equal((await admin.post(`/admin/api/flats/A-101/setup-codes/999999/revoke`)).status, 404);
+
+    const out = await admin.post(`/admin/api/flats/A-101/setup-codes/${active.id}/revoke`);
+    assert.equal(out.status, 200);
+
+    const after = await admin.get("/admin/api/flats/A-101/setup-codes");
+    assert.equal(after.body.rows[0].status, "REVOKED");
+    assert.equal(after.body.rows[0].revoked_by, "admin");
+  });
+
+  it("lists and filters flats", async () => {
+    await approvedFlat(admin, "A-102");
+    await approvedFlat(admin, "B-101");
+
+    const all = await admin.get("/admin/api/flats");
+    assert.equal(all.body.total, 3);
+
+    const blockA = await admin.get("/admin/api/flats?block=A&sort=flat_id&dir=desc");
+    assert.deepEqual(blockA.body.rows.map((r) => r.flat_id), ["A-102", "A-101"]);
+
+    const q = await admin.get("/admin/api/flats?q=b101");
+    assert.deepEqual(q.body.rows.map((r) => r.flat_id), ["B-101"]);
+
+    assert.equal((await admin.get("/admin/api/flats?status=GONE")).status, 400);
+    assert.equal((await admin.get("/admin/api/flats?banned=sometimes")).status, 400);
+  });
+
+  it("revokes a ban set by the user service", async () => {
+    // the user service bans flats; stand in for it through the DB tab
+    const ban = await admin.post("/admin/api/db/table/flats/update", {
+      pk: { flat_id: "A-102" },
+      values: { ban_until: String(Date.now() + 3_600_000), requires_admin_revoke: "true", strike_count: "5" }
+    });
+    assert.equal(ban.status, 200, JSON.stringify(ban.body));
+
+    const banned = await admin.get("/admin/api/flats?banned=1&requires_revoke=1");
+    assert.deepEqual(banned.body.rows.map((r) => r.flat_id), ["A-102"]);
+    assert.equal(banned.body.rows[0].requires_admin_revoke, true);
+
+    const out = await admin.post("/admin/api/flats/A-102/revoke-ban");
+    assert.equal(out.status, 200);
+    assert.equal((await admin.get("/admin/api/flats?banned=1")).body.total, 0);
+
+    assert.equal((await admin.post("/admin/api/flats/Z-999/revoke-ban")).status, 404);
+
+    const audit = await admin.get("/admin/api/audit?action=flat.revoke_ban&flat_id=A-102");
+    assert.equal(audit.body.rows[0].before.requires_admin_revoke, true);
+    assert.equal(audit.body.rows[0].after.requires_admin_revoke, false);
+  });
+
+  it("disables and re-enables a flat", async () => {
+    assert.equal((await admin.post("/admin/api/flats/B-101/disable", { disabled: true })).status, 200);
+    assert.equal((await admin.get("/admin/api/flats?status=DISABLED")).body.rows[0].flat_id, "B-101");
+
+    // a new request for a disabled flat is flagged and cannot be approved with a code
+    const req = await admin.post("/admin/api/requests", { flat_id: "B-101", name: "Again" });
+    assert.deepEqual(req.body.conflicts, ["FLAT_DISABLED"]);
+    const withCode = await admin.post(`/admin/api/requests/${req.body.id}/approve`, { issue_code: true });
+    assert.equal(withCode.status, 409);
+    assert.equal(withCode.body.error, "FLAT_DISABLED");
+
+    assert.equal((await admin.post("/admin/api/flats/B-101/disable", { disabled: false })).status, 200);
+    assert.equal((await admin.get("/admin/api/flats?status=ACTIVE")).body.total, 3);
+
+    assert.equal((await admin.post("/admin/api/flats/Z-999/disable")).status, 404);
+  });
+
+  it("returns the flat detail with live presence from the user service", async () => {
+    server.userService.state.snapshot = {
+      ok: true,
+      clients: [{ flat_id: "A-101" }],
+      stations: [{ broadcaster: { flat_id: "A-101" }, listeners: [{ flat_id: "B-101" }] }],
+      totals: { wsClients: 1, stations: 1 }
+    };
+
+    const out = await admin.get("/admin/api/flats/a-101");
+    assert.equal(out.status, 200);
+    assert.equal(out.body.flat.flat_id, "A-101");
+    assert.equal(out.body.flat.has_password, false);
+    assert.equal(out.body.requests.length, 1);
+    assert.equal(out.body.setup_codes.length, 2);
+    assert.equal(out.body.live.ok, true);
+    assert.equal(out.body.live.online, true);
+    assert.equal(out.body.live.broadcasting[0].listeners, 1);
+
+    // user service down: the DB side still answers
+    server.userService.state.status = 503;
+    const down = await admin.get("/admin/api/flats/A-101");
+    assert.equal(down.status, 200);
+    assert.equal(down.body.live.ok, false);
+    server.userService.reset();
+
+    assert.equal((await admin.get("/admin/api/flats/Z-999")).status, 404);
+  });
+
+  it("runs bulk flat actions with a result per item", async () => {
+    const out = await admin.post("/admin/api/flats/bulk", { action: "disable", flat_ids: ["A-101", "a102", "Z-999", "junk"] });
+    assert.equal(out.status, 200);
+    assert.deepEqual(out.body.summary, { total: 4, succeeded: 2, failed: 2 });
+    assert.equal(out.body.results.find((r) => r.flat_id === "junk").error, "BAD_FLAT_ID");
+
+    const badTtl = await admin.post("/admin/api/flats/bulk", { action: "setup-code", flat_ids: ["A-101"], ttlMinutes: 100000 });
+    assert.equal(badTtl.status, 400);
+    assert.equal(badTtl.body.error, "BAD_TTL");
+
+    const codes = await admin.post("/admin/api/flats/bulk", { action: "setup-code", flat_ids: ["A-101", "A-102"] });
+    assert.equal(codes.body.summary.succeeded, 2);
+    assert.ok(codes.body.results.every((r) => r.code));
+
+    // ttlMinutes only matters to setup-code; a leftover one does not fail the other actions
+    const enable = await admin.post("/admin/api/flats/bulk", { action: "enable", flat_ids: ["A-101", "A-102"], ttlMinutes: "soon" });
+    assert.equal(enable.body.summary.succeeded, 2);
+
+    const viewer = await loginAs(server, admin, { username: "vic", role: "viewer" });
+    const denied = await viewer.post("/admin/api/flats/bulk", { action: "revoke-ban", flat_ids: ["A-101"] });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.permission, "flats:revoke-ban");
+  });
+
+  it("leaves one live code when several are issued for a flat at once", async () => {
+    const burst = await Promise.all([1, 2, 3].map(() => admin.post("/admin/api/flats/A-102/setup-code")));
+    assert.ok(burst.every((r) => r.status === 200));
+
+    const codes = await admin.get("/admin/api/flats/A-102/setup-codes");
+    assert.equal(codes.body.rows.filter((r) => r.status === "ACTIVE").length, 1);
+    assert.equal(codes.body.rows.filter((r) => Number(r.expires_at) > Date.now()).length, 1);
+  });
+
+  it("reports stored flat IDs that do not fit the layout", async () => {
+    const out = await admin.get("/admin/api/flats/id-report");
+    assert.equal(out.status, 200);
+    assert.equal(out.body.ok, true);
+    assert.deepEqual(out.body.flats, []);
+    assert.equal(out.body.checked.flats, 3);
+  });
+});
+
+describe("flat IDs stored before the layout", () => {
+  let server;
+  let admin;
+
+  // rows as the user service and older admin code wrote them: trimmed and upper-cased only
+  async function legacyFlat(flat_id, extra = {}) {
+    const now = Date.now();
+    await server.sql(
+      `INSERT INTO flats (flat_id, status, strike_count, ban_until, requires_admin_revoke, created_at, updated_at)
+       VALUES ($1,'ACTIVE',$2,$3,$4,$5,$5)`,
+      [flat_id, extra.strike_count ?? 0, extra.ban_until ?? null, extra.requires_admin_revoke ?? false, now]
+    );
+  }
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+
+    const now = Date.now();
+    await legacyFlat("A502", { strike_count: 5, ban_until: now + 3_600_000, requires_admin_revoke: true });
+    await legacyFlat("GUARDROOM");
+    await server.sql(`INSERT INTO setup_codes (flat_id, code_hash, expires_at, created_at) VALUES ('A502','x',$1,$2)`, [now + 3_600_000, now]);
+    await server.sql(`INSERT INTO flat_requests (flat_id, name, status, created_at, updated_at) VALUES ('A502','Old','APPROVED',$1,$1)`, [now]);
+  });
+  after(() => server?.stop());
+
+  it("still manages a flat stored under its old spelling", async () => {
+    const out = await admin.post("/admin/api/flats/A502/revoke-ban");
+    assert.equal(out.status, 200, JSON.stringify(out.body));
+
+    const bulk = await admin.post("/admin/api/flats/bulk", { action: "disable", flat_ids: ["a502", "GUARDROOM"] });
+    assert.deepEqual(bulk.body.results.map((r) => [r.flat_id, r.ok]), [["A502", true], ["GUARDROOM", true]]);
+
+    assert.equal((await admin.get("/admin/api/flats/guardroom")).body.flat.status, "DISABLED");
+  });
+
+  it("renames a flat to its canonical ID with its codes and requests, leaving the audit trail as it was", async () => {
+    const report = await admin.get("/admin/api/flats/id-report");
+    assert.deepEqual(report.body.flats.map((r) => [r.flat_id, r.canonical]), [["A502", "A-502"], ["GUARDROOM", null]]);
+
+    const out = await admin.post("/admin/api/flats/A502/rename");
+    assert.equal(out.status, 200, JSON.stringify(out.body));
+    assert.equal(out.body.to, "A-502");
+    assert.equal(out.body.merged, false);
+    assert.equal(out.body.moved.setup_codes, 1);
+    assert.equal(out.body.moved.requests, 1);
+
+    const detail = await admin.get("/admin/api/flats/A-502");
+    assert.equal(detail.body.flat.status, "DISABLED");
+    assert.equal(detail.body.requests.length, 1);
+    assert.equal((await admin.get("/admin/api/requests?status=APPROVED&block=A")).body.rows[0]?.flat_id, "A-502");
+    assert.equal(detail.body.setup_codes.length, 1);
+    // past entries keep the ID they were taken on; the detail follows the rename back to them
+    const revoke = detail.body.audit.find((a) => a.action === "flat.revoke_ban");
+    assert.equal(revoke?.flat_id, "A502");
+    assert.ok(detail.body.audit.some((a) => a.action === "flat.rename" && a.flat_id === "A-502"));
+    assert.equal((await admin.get("/admin/api/audit?action=flat.revoke_ban")).body.rows[0].flat_id, "A502");
+    assert.equal((await admin.post("/admin/api/flats/A502/rename")).status, 404);
+
+    const noTarget = await admin.post("/admin/api/flats/GUARDROOM/rename");
+    assert.equal(noTarget.status, 400);
+    assert.equal(noTarget.body.error, "BAD_FLAT_ID");
+    assert.equal((await admin.post("/admin/api/flats/GUARDROOM/rename", { to: "g001" })).body.to, "G-001");
+
+    const after = await admin.get("/admin/api/flats/id-report");
+    assert.deepEqual([after.body.flats, after.body.requests], [[], []]);
+  });
+
+  it("merges into an existing flat only when asked", async () => {
+    await approvedFlat(admin, "A-503");
+    assert.equal((await admin.post("/admin/api/flats/A-503/setup-code")).status, 200);
+    await legacyFlat("A503", { ban_until: Date.now() + 60_000 });
+    await server.sql(
+      `INSERT INTO setup_codes (flat_id, code_hash, expires_at, created_at) VALUES ('A503','x',$1,$2)`,
+      [Date.now() + 3_600_000, Date.now()]
+    );
+
+    const taken = await admin.post("/admin/api/flats/A503/rename");
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error, "FLAT_ID_TAKEN");
+
+    const out = await admin.post("/admin/api/flats/A503/rename", { merge: true });
+    assert.equal(out.status, 200);
+    assert.equal(out.body.merged, true);
+
+    const flats = await admin.get("/admin/api/flats?q=A503");
+    assert.deepEqual(flats.body.rows.map((r) => r.flat_id), ["A-503"]);
+    assert.ok(flats.body.rows[0].ban_until > Date.now());
+
+    // both flats had a live code; the one moved over is superseded and no longer redeemable
+    const codes = (await admin.get("/admin/api/flats/A-503/setup-codes")).body.rows;
+    assert.deepEqual(codes.map((c) => c.status).sort(), ["ACTIVE", "SUPERSEDED"]);
+    assert.equal(codes.filter((c) => Number(c.expires_at) > Date.now()).length, 1);
+
+    const audit = await admin.get("/admin/api/audit?action=flat.rename&flat_id=A-503");
+    assert.equal(audit.body.rows[0].meta.from, "A503");
+  });
+
+  it("leaves renaming to superadmins", async () => {
+    const operator = await loginAs(server, admin, { username: "opal", role: "operator" });
+    const out = await operator.post("/admin/api/flats/A-503/rename", { to: "A-504" });
+    assert.equal(out.status, 403);
+    assert.equal(out.body.permission, "flats:rename");
+  });
+});
+
+describe("buildings and blocks", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer({ env: { FLAT_ID_BLOCKS: "A,B" } });
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("refuses flat IDs outside the configured blocks", async () => {
+    const out = await admin.post("/admin/api/requests", { flat_id: "C-101", name: "x" });
+    assert.equal(out.status, 400);
+    assert.equal(out.body.reason, "UNKNOWN_BLOCK");
+  });
+
+  it("counts flats per block, with online flats from the live snapshot", async () => {
+    await approvedFlat(admin, "A-101");
+    await approvedFlat(admin, "A-102");
+    await admin.post("/admin/api/requests", { flat_id: "B-101", name: "Pending" });
+    server.userService.state.snapshot = { ok: true, clients: [{ flat_id: "A-101" }], stations: [], totals: {} };
+
+    const out = await admin.get("/admin/api/blocks");
+    assert.equal(out.status, 200);
+    assert.equal(out.body.live_error, null);
+    const a = out.body.blocks.find((b) => b.code === "A");
+    const b = out.body.blocks.find((x) => x.code === "B");
+    assert.equal(a.flats, 2);
+    assert.equal(a.active, 2);
+    assert.equal(a.online, 1);
+    assert.equal(b.pending_requests, 1);
+
+    server.userService.state.status = 500;
+    const down = await admin.get("/admin/api/blocks");
+    assert.ok(down.body.live_error);
+    assert.equal(down.body.blocks[0].online, null);
+    server.userService.reset();
+  });
+
+  it("creates buildings and assigns blocks to them", async () => {
+    const created = await admin.post("/admin/api/buildings", { name: "North Tower" });
+    assert.equal(created.status, 200);
+    assert.equal((await admin.post("/admin/api/buildings", { name: "North Tower" })).status, 409);
+    assert.equal((await admin.post("/admin/api/buildings", { name: "" })).status, 400);
+
+    const set = await admin.post("/admin/api/blocks/a", { name: "Block A", building_id: created.body.building.id });
+    assert.equal(set.status, 200);
+    assert.equal((await admin.post("/admin/api/blocks/A", { building_id: 999 })).status, 404);
+    assert.equal((await admin.post("/admin/api/blocks/A", { building_id: "x" })).status, 400);
+
+    const blocks = await admin.get("/admin/api/blocks");
+    const a = blocks.body.blocks.find((b) => b.code === "A");
+    assert.equal(a.name, "Block A");
+    assert.equal(a.building_name, "North Tower");
+
+    const operator = await loginAs(server, admin, { username: "opal", role: "operator" });
+    assert.equal((await operator.post("/admin/api/buildings", { name: "South" })).status, 403);
+  });
+});
+
+describe("live view, metrics and the monitor WebSocket", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("proxies the live snapshot with the shared token and narrows it by block", async () => {
+    server.userService.state.snapshot = {
+      ok: true,
+      clients: [{ flat_id: "A-101" }, { flat_id: "B-201" }],
+      stations: [{ broadcaster: { flat_id: "B-201" }, listeners: [] }],
+      totals: { wsClients: 2, stations: 1 }
+    };
+
+    const all = await admin.get("/admin/api/live");
+    assert.equal(all.status, 200);
+    assert.equal(all.body.snap.clients.length, 2);
+    assert.equal(server.userService.state.lastToken, "test-live-token");
+
+    const blockA = await admin.get("/admin/api/live?block=a");
+    assert.equal(blockA.body.block, "A");
+    assert.deepEqual(blockA.body.snap.clients, [{ flat_id: "A-101" }]);
+    assert.deepEqual(blockA.body.snap.totals, { wsClients: 1, stations: 0 });
+
+    server.userService.state.status = 503;
+    const down = await admin.get("/admin/api/live");
+    assert.equal(down.status, 502);
+    assert.equal(down.body.ok, false);
+    server.userService.reset();
+  });
+
+  it("reports request metrics", async () => {
+    const out = await admin.get("/admin/api/metrics");
+    assert.equal(out.status, 200);
+    assert.ok(out.body.totalRequests > 0);
+    assert.ok(out.body.uptimeSec >= 0);
+    assert.ok(out.body.mem.rss > 0);
+
+    assert.equal((await server.client().get("/admin/api/metrics")).status, 401);
+  });
+
+  it("streams monitor snapshots over /admin/ws to signed-in admins only", async () => {
+    const anon = await wsFirstMessage(server);
+    assert.equal(anon.status, 401);
+
+    const forged = await wsFirstMessage(server, "audix_admin_sid=s%3Anot-a-session.sig");
+    assert.equal(forged.status, 401);
+
+    const ok = await wsFirstMessage(server, admin.cookie);
+    assert.ok(ok.message.ts);
+    assert.equal(ok.message.viewers, 1);
+    assert.ok(ok.message.hw.cpuCores > 0);
+
+    // a deactivated account loses the socket on its next connect
+    const viewer = await loginAs(server, admin, { username: "walt", role: "viewer" });
+    assert.ok((await wsFirstMessage(server, viewer.cookie)).message);
+
+    const list = await admin.get("/admin/api/admins");
+    const walt = list.body.rows.find((r) => r.username === "walt");
+    await admin.post(`/admin/api/admins/${walt.id}/disable`, { disabled: true });
+    assert.equal((await wsFirstMessage(server, viewer.cookie)).status, 401);
+  });
+});
@@ -0,0 +1,231 @@
+import { spawn } from "child_process";
+import http from "http";
+import net from "net";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+import { createSqlitePool } from "../db_sqlite.js";
+
+// Integration test harness: boots server.js in a child process against a throwaway
+// database and a stub of the user service, and signs in over HTTP like the dashboard.
+// The database is a temp SQLite file unless TEST_DATABASE_URL points at a scratch
+// Postgres (it must be empty: every file seeds its own admin and data).
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const ADMIN_USERNAME = "admin";
+export const ADMIN_PASSWORD = "test-admin-password";
+export const LIVE_TOKEN = "test-live-token";
+
+const BOOT_TIMEOUT_MS = 20_000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export const EMPTY_SNAPSHOT = { ok: true, clients: [], stations: [], totals: { wsClients: 0, stations: 0 } };
+
+/**
+ * Stand-in for the user service's GET /api/internal/live-snapshot. Tests set
+ * `snapshot` (the JSON body) or `status` (e.g. 503) and read `hits`.
+ */
+async function startUserService() {
+  const state = { snapshot: EMPTY_SNAPSHOT, status: 200, hits: 0, lastToken: null };
+
+  const srv = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url !== "/api/internal/live-snapshot") {
+      res.writeHead(404, { "content-type": "application/json" });
+      return res.end(JSON.stringify({ ok: false, error: "NOT_FOUND" }));
+    }
+
+    state.hits += 1;
+    state.lastToken = req.headers["x-audix-live-token"] || null;
+    if (state.lastToken !== LIVE_TOKEN) {
+      res.writeHead(401, { "content-type": "application/json" });
+      return res.end(JSON.stringify({ ok: false, error: "BAD_LIVE_TOKEN" }));
+    }
+
+    res.writeHead(state.status, { "content-type": "application/json" });
+    res.end(JSON.stringify(state.status === 200 ? state.snapshot : { ok: false, error: `STUB_${state.status}` }));
+  });
+
+  await new Promise((resolve) => srv.listen(0, "127.0.0.1", resolve));
+
+  return {
+    state,
+    url: `http://127.0.0.1:${srv.address().port}`,
+    reset() {
+      Object.assign(state, { snapshot: EMPTY_SNAPSHOT, status: 200, hits: 0, lastToken: null });
+    },
+    close: () => new Promise((resolve) => srv.close(resolve))
+  };
+}
+
+function waitForBoot(child, output) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start in ${BOOT_TIMEOUT_MS} ms:\n${output.join("")}`)), BOOT_TIMEOUT_MS);
+
+    child.stdout.on("data", (chunk) => {
+      if (output.join("").includes("AuDiX Admin running on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code} during boot:\n${output.join("")}`));
+    });
+  });
+}
+
+/**
+ * Starts the stub user service and the admin server. Returns
+ * { base, port, userService, login(username, password), sql(text, params), output, stop() }.
+ * `env` is merged over the defaults (e.g. FLAT_ID_BLOCKS). sql() writes straight to the
+ * server's database, for rows the admin API cannot create (e.g. pre-layout flat IDs).
+ */
+export async function startServer({ env = {} } = {}) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "audix-admin-test-"));
+  const userService = await startUserService();
+  const port = await freePort();
+
+  const databaseUrl = process.env.TEST_DATABASE_URL || `sqlite:${path.join(tmp, "admin.sqlite")}`;
+  let direct = null;
+
+  const output = [];
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    // run from the temp dir so a developer's .env is not picked up by dotenv
+    cwd: tmp,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: "test",
+      DATABASE_URL: databaseUrl,
+      PORT: String(port),
+      SESSION_SECRET: "test-session-secret",
+      AUDIX_ADMIN_USERNAME: ADMIN_USERNAME,
+      AUDIX_ADMIN_PASSWORD: ADMIN_PASSWORD,
+      AUDIX_USER_BASE_URL: userService.url,
+      AUDIX_LIVE_TOKEN: LIVE_TOKEN,
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.stdout.on("data", (chunk) => output.push(chunk.toString()));
+  child.stderr.on("data", (chunk) => output.push(chunk.toString()));
+
+  try {
+    await waitForBoot(child, output);
+  } catch (e) {
+    child.kill();
+    await userService.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw e;
+  }
+
+  const base = `http://127.0.0.1:${port}`;
+
+  return {
+    base,
+    port,
+    userService,
+    output,
+    client: () => new AdminClient(base),
+    async login(username = ADMIN_USERNAME, password = ADMIN_PASSWORD) {
+      const c = new AdminClient(base);
+      const res = await c.login(username, password);
+      if (res.status !== 302 || res.headers.get("location") !== "/admin") {
+        throw new Error(`login as ${username} failed: ${res.status} ${res.body}`);
+      }
+      await c.refreshCsrf();
+      return c;
+    },
+    sql(text, params = []) {
+      direct ??= databaseUrl.startsWith("sqlite:")
+        ? createSqlitePool(databaseUrl.slice("sqlite:".length))
+        : new pg.Pool({ connectionString: databaseUrl, max: 1 });
+      return direct.query(text, params);
+    },
+    async stop() {
+      await direct?.end();
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill("SIGTERM");
+        await exited;
+      }
+      await userService.close();
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Cookie-carrying HTTP client that behaves like the dashboard: JSON bodies and the
+ * X-CSRF-Token header from /admin/api/me on every mutating call.
+ */
+export class AdminClient {
+  constructor(base) {
+    this.base = base;
+    this.cookie = "";
+    this.csrf = null;
+  }
+
+  async request(method, urlPath, { body, headers = {}, csrf = true } = {}) {
+    const h = { ...headers };
+    if (this.cookie) h.cookie = this.cookie;
+    if (csrf && this.csrf && method !== "GET") h["x-csrf-token"] = this.csrf;
+
+    let payload = body;
+    if (body !== undefined && typeof body !== "string") {
+      payload = JSON.stringify(body);
+      h["content-type"] = "application/json";
+    }
+
+    const res = await fetch(this.base + urlPath, { method, headers: h, body: payload, redirect: "manual" });
+
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) this.cookie = setCookie.split(";")[0];
+
+    const text = await res.text();
+    const isJson = (res.headers.get("content-type") || "").includes("application/json");
+    return { status: res.status, headers: res.headers, body: isJson && text ? JSON.parse(text) : text };
+  }
+
+  get(urlPath, opts) {
+    return this.request("GET", urlPath, opts);
+  }
+
+  post(urlPath, body = {}, opts = {}) {
+    return this.request("POST", urlPath, { ...opts, body });
+  }
+
+  // Form post like admin-login.html; answers 302 to /admin on success
+  login(username, password) {
+    return this.request("POST", "/admin/login", {
+      body: new URLSearchParams({ username, password }).toString(),
+      headers: { "content-type": "application/x-www-form-urlencoded" }
+    });
+  }
+
+  async refreshCsrf() {
+    const me = await this.get("/admin/api/me");
+    this.csrf = me.body?.csrf_token || null;
+    return me;
+  }
+}
+
+// Superadmin creates an account and signs it in
+export async function loginAs(server, superadmin, { username, role, password = "another-password-1" }) {
+  const out = await superadmin.post("/admin/api/admins", { username, password, role });
+  if (out.status !== 200) throw new Error(`create ${username} failed: ${JSON.stringify(out.body)}`);
+  return server.login(username, password);
+}
@@ -0,0 +1,233 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startServer, loginAs } from "./helpers.js";
+
+async function createRequest(client, flat_id, name = "Resident", note = "") {
+  const res = await client.post("/admin/api/requests", { flat_id, name, note });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.id;
+}
+
+describe("flat requests", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  it("creates requests with canonical flat IDs and refuses bad ones", async () => {
+    const id = await createRequest(admin, "a502", "Asha");
+    const list = await admin.get("/admin/api/requests?status=PENDING");
+    const row = list.body.rows.find((r) => r.id === id);
+    assert.equal(row.flat_id, "A-502");
+    assert.equal(row.block_code, "A");
+
+    const missing = await admin.post("/admin/api/requests", { flat_id: "A-503" });
+    assert.equal(missing.status, 400);
+
+    const bad = await admin.post("/admin/api/requests", { flat_id: "502", name: "x" });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "BAD_FLAT_ID");
+    assert.equal(bad.body.reason, "BAD_FLAT_ID_FORMAT");
+  });
+
+  it("pages, sorts and filters the list with a total", async () => {
+    for (const f of ["C-101", "C-102", "C-103"]) await createRequest(admin, f);
+
+    const page = await admin.get("/admin/api/requests?block=C&sort=flat_id&dir=asc&limit=2&offset=1");
+    assert.equal(page.status, 200);
+    assert.equal(page.body.total, 3);
+    assert.deepEqual(page.body.rows.map((r) => r.flat_id), ["C-102", "C-103"]);
+    assert.equal(page.body.limit, 2);
+
+    assert.equal((await admin.get("/admin/api/requests?flagged=maybe")).status, 400);
+  });
+
+  it("approves a request into an ACTIVE flat, once", async () => {
+    const id = await createRequest(admin, "B-101", "Bea");
+
+    // no code is issued, so a stray ttlMinutes is ignored rather than refused
+    const out = await admin.post(`/admin/api/requests/${id}/approve`, { ttlMinutes: "soon" });
+    assert.equal(out.status, 200);
+    assert.equal(out.body.flat_id, "B-101");
+    assert.equal(out.body.flat_status, "ACTIVE");
+
+    const again = await admin.post(`/admin/api/requests/${id}/approve`);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.unchanged, true);
+
+    const flats = await admin.get("/admin/api/flats?q=B-101");
+    assert.equal(flats.body.rows[0].status, "ACTIVE");
+
+    const audit = await admin.get("/admin/api/audit?action=request.approve&flat_id=B-101");
+    assert.equal(audit.body.rows.length, 1);
+
+    assert.equal((await admin.post("/admin/api/requests/999999/approve")).status, 404);
+    assert.equal((await admin.post("/admin/api/requests/abc/approve")).status, 400);
+  });
+
+  it("approves and issues the first setup code in one step", async () => {
+    const id = await createRequest(admin, "B-102");
+    for (const ttlMinutes of [-100, 0, 1.5, 1e308, "soon"]) {
+      const bad = await admin.post(`/admin/api/requests/${id}/approve`, { issue_code: true, ttlMinutes });
+      assert.equal(bad.status, 400);
+      assert.equal(bad.body.error, "BAD_TTL");
+    }
+
+    const out = await admin.post(`/admin/api/requests/${id}/approve`, { issue_code: true, ttlMinutes: 30 });
+    assert.equal(out.status, 200);
+    assert.match(out.body.setup_code.code, /\S/);
+    assert.ok(out.body.setup_code.expires_at > Date.now());
+
+    const codes = await admin.get("/admin/api/flats/B-102/setup-codes");
+    assert.equal(codes.body.rows.length, 1);
+    assert.equal(codes.body.rows[0].status, "ACTIVE");
+    assert.equal(codes.body.rows[0].code_hash, undefined);
+  });
+
+  it("rejects with a category, refuses invalid transitions and reopens", async () => {
+    const id = await createRequest(admin, "B-201");
+
+    const noCat = await admin.post(`/admin/api/requests/${id}/reject`, {});
+    assert.equal(noCat.status, 400);
+    assert.equal(noCat.body.error, "BAD_REJECT_CATEGORY");
+
+    const noReason = await admin.post(`/admin/api/requests/${id}/reject`, { category: "OTHER" });
+    assert.equal(noReason.body.error, "REJECT_REASON_REQUIRED");
+
+    const rejected = await admin.post(`/admin/api/requests/${id}/reject`, { category: "NOT_RESIDENT", reason: "moved out" });
+    assert.equal(rejected.status, 200);
+
+    const list = await admin.get("/admin/api/requests?status=REJECTED");
+    const row = list.body.rows.find((r) => r.id === id);
+    assert.equal(row.reject_category, "NOT_RESIDENT");
+    assert.equal(row.reject_reason, "moved out");
+
+    const approve = await admin.post(`/admin/api/requests/${id}/approve`);
+    assert.equal(approve.status, 409);
+    assert.equal(approve.body.error, "INVALID_TRANSITION");
+
+    const reopened = await admin.post(`/admin/api/requests/${id}/reopen`);
+    assert.equal(reopened.status, 200);
+    assert.equal((await admin.post(`/admin/api/requests/${id}/approve`)).status, 200);
+
+    const reopenApproved = await admin.post(`/admin/api/requests/${id}/reopen`);
+    assert.equal(reopenApproved.status, 409);
+  });
+
+  it("flags duplicates, merges them and auto-rejects the rest", async () => {
+    const keep = await createRequest(admin, "D-101", "First", "hello");
+    const dup = await admin.post("/admin/api/requests", { flat_id: "D-101", name: "Second", note: "again" });
+    assert.deepEqual(dup.body.conflicts, ["DUPLICATE_PENDING"]);
+
+    const flagged = await admin.get("/admin/api/requests?flagged=1&block=D");
+    assert.equal(flagged.body.total, 2);
+
+    const merged = await admin.post(`/admin/api/requests/${keep}/merge-duplicates`);
+    assert.equal(merged.status, 200);
+    assert.deepEqual(merged.body.merged, [dup.body.id]);
+
+    await createRequest(admin, "D-102", "One");
+    const extra = await createRequest(admin, "D-102", "Two");
+
+    const dry = await admin.post("/admin/api/requests/auto-reject-duplicates");
+    assert.equal(dry.body.dry_run, true);
+    assert.deepEqual(dry.body.groups.map((g) => [g.flat_id, g.rejected]), [["D-102", [extra]]]);
+
+    const real = await admin.post("/admin/api/requests/auto-reject-duplicates?dry_run=0");
+    assert.equal(real.body.rejected, 1);
+    assert.equal((await admin.get("/admin/api/requests?flagged=1&block=D")).body.total, 0);
+  });
+
+  it("runs bulk approve/reject with a result per item", async () => {
+    const a = await createRequest(admin, "E-101");
+    const b = await createRequest(admin, "E-102");
+
+    const bad = await admin.post("/admin/api/requests/bulk", { action: "explode", ids: [a] });
+    assert.equal(bad.body.error, "BAD_BULK_ACTION");
+    assert.equal((await admin.post("/admin/api/requests/bulk", { action: "approve", ids: [] })).body.error, "NO_ITEMS");
+
+    const out = await admin.post("/admin/api/requests/bulk", { action: "approve", ids: [a, b, 999999] });
+    assert.equal(out.status, 200);
+    assert.deepEqual(out.body.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.equal(out.body.results.find((r) => r.id === 999999).error, "REQUEST_NOT_FOUND");
+  });
+
+  it("keeps a viewer from approving or rejecting, singly or in bulk", async () => {
+    const viewer = await loginAs(server, admin, { username: "viv", role: "viewer" });
+    const id = await createRequest(admin, "E-201");
+
+    const out = await viewer.post(`/admin/api/requests/${id}/approve`);
+    assert.equal(out.status, 403);
+    assert.equal(out.body.permission, "requests:approve");
+
+    const bulk = await viewer.post("/admin/api/requests/bulk", { action: "reject", ids: [id], category: "OTHER", reason: "x" });
+    assert.equal(bulk.status, 403);
+  });
+});
+
+describe("CSV import and exports", () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.login();
+  });
+  after(() => server?.stop());
+
+  const csv = (text) => ({ headers: { "content-type": "text/csv" }, body: text });
+
+  it("validates on a dry run and writes nothing", async () => {
+    const out = await admin.request("POST", "/admin/api/import?dry_run=1", csv("flat_id,name,note\nf101,Fay,hi\nnope,Bad,\n"));
+    assert.equal(out.status, 200);
+    assert.equal(out.body.dry_run, true);
+    assert.equal(out.body.summary.error_rows, 1);
+    assert.equal(out.body.report[0].flat_id, "F-101");
+    assert.equal((await admin.get("/admin/api/requests?block=F")).body.total, 0);
+  });
+
+  it("refuses a CSV without the required columns or body", async () => {
+    const missing = await admin.request("POST", "/admin/api/import", csv("flat,name\nF-101,x\n"));
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /flat_id/);
+
+    const empty = await admin.request("POST", "/admin/api/import", csv(""));
+    assert.equal(empty.status, 400);
+  });
+
+  it("commits all rows or none", async () => {
+    const broken = await admin.request("POST", "/admin/api/import?dry_run=0", csv("flat_id,name\nF-201,Ok\nbad,Nope\n"));
+    assert.equal(broken.body.committed, false);
+    assert.equal((await admin.get("/admin/api/requests?block=F")).body.total, 0);
+
+    const good = await admin.request("POST", "/admin/api/import?dry_run=0", csv("flat_id,name\nF-201,Ok\nF-202,Also\n"));
+    assert.equal(good.status, 200);
+    assert.equal(good.body.committed, true);
+    assert.equal((await admin.get("/admin/api/requests?block=F")).body.total, 2);
+  });
+
+  it("streams requests, flats and audit as CSV or JSON", async () => {
+    const reqCsv = await admin.get("/admin/api/export/requests?format=csv&block=F");
+    assert.equal(reqCsv.status, 200);
+    assert.match(reqCsv.headers.get("content-disposition"), /audix-requests-.*\.csv/);
+    const lines = reqCsv.body.replace(/^﻿/, "").trim().split("\r\n");
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].split(",").includes("flat_id"));
+
+    const reqs = (await admin.get("/admin/api/export/requests?format=json&block=F")).body;
+    assert.deepEqual(reqs.map((r) => r.flat_id).sort(), ["F-201", "F-202"]);
+
+    const flats = await admin.get("/admin/api/export/flats?format=json");
+    assert.deepEqual(flats.body, []);
+
+    const audit = (await admin.get("/admin/api/export/audit?format=json&action=import.commit")).body;
+    assert.equal(audit.length, 1);
+
+    assert.equal((await admin.get("/admin/api/export/flats?format=xml")).status, 400);
+  });
+});
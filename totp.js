@@ -0,0 +1,112 @@
+import crypto from "crypto";
+
+// RFC 6238 TOTP (HMAC-SHA1, 30s step, 6 digits) — what every authenticator app defaults to.
+// Secrets are exchanged as RFC 4648 base32 without padding.
+
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const TOTP_STEP_SEC = 30;
+export const TOTP_DIGITS = 6;
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error("BAD_BASE32");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(out);
+}
+
+export function generateTotpSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+// RFC 4226 HOTP with dynamic truncation
+export function hotp(key, counter, digits = TOTP_DIGITS) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+
+  const mac = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = mac[mac.length - 1] & 0x0f;
+  const bin =
+    ((mac[offset] & 0x7f) << 24) |
+    (mac[offset + 1] << 16) |
+    (mac[offset + 2] << 8) |
+    mac[offset + 3];
+
+  return String(bin % 10 ** digits).padStart(digits, "0");
+}
+
+export function totpStep(nowMs = Date.now()) {
+  return Math.floor(nowMs / 1000 / TOTP_STEP_SEC);
+}
+
+export function totpAt(secret, nowMs = Date.now()) {
+  return hotp(base32Decode(secret), totpStep(nowMs));
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+/**
+ * Checks a code against the current step ± window (clock drift).
+ * Returns the matched step, or null. Pass the last accepted step as afterStep
+ * so a code cannot be replayed within its validity window.
+ */
+export function verifyTotp(secret, code, { nowMs = Date.now(), window = 1, afterStep = null } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(clean) || clean.length !== TOTP_DIGITS) return null;
+
+  const key = base32Decode(secret);
+  const cur = totpStep(nowMs);
+
+  for (let step = cur - window; step <= cur + window; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    if (safeEqual(hotp(key, step), clean)) return step;
+  }
+  return null;
+}
+
+export function otpauthUri({ secret, account, issuer = "AuDiX Admin" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SEC)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}